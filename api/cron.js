@@ -0,0 +1,132 @@
+import { getStore } from "../lib/store.js";
+import { linePush } from "../lib/line.js";
+import { isQuietHour, listOwners, ownerTimeZone, updateOwner } from "../lib/owners.js";
+import { flushAllOutboxes } from "../lib/sheet.js";
+import { rollOverTodos } from "../lib/todos.js";
+import { buildSummaryReply, getDateRange, getSummary } from "../lib/summary.js";
+import { zonedParts } from "../lib/time.js";
+
+// =============================================================
+// 排程推播（建議每小時呼叫一次）
+//  - 每日總結：DIGEST_HOUR 點後推送當天「今日總結」
+//  - 週一回顧：週一 WEEKLY_HOUR 點後推送上週總結
+//  - 閒置提醒：超過 NUDGE_HOURS 小時沒有紀錄時提醒一次
+//  - 補送 Sheet outbox 中到期的待送異動
+//  - 過期未完成的待辦延到今天
+// 每個 owner 皆尊重「停止推播」與勿擾時段；時間一律以 owner 的時區計算
+// owner、紀錄都讀自與 webhook 共用的儲存（STORE_FILE_PATH，見 lib/store.js），沒設定時正式環境會直接報錯
+// =============================================================
+
+const {
+  CRON_SECRET,
+  DIGEST_HOUR = "22",
+  WEEKLY_HOUR = "9",
+  NUDGE_HOURS = "4",
+} = process.env;
+
+const store = getStore();
+
+// Vercel Cron 會帶 Authorization: Bearer <CRON_SECRET>；手動呼叫也可用 ?secret=
+function isAuthorized(req) {
+  if (!CRON_SECRET) return false;
+  const auth = req.headers["authorization"] || "";
+  const secret = new URL(req.url, "http://localhost").searchParams.get("secret");
+  return auth === `Bearer ${CRON_SECRET}` || secret === CRON_SECRET;
+}
+
+function dateKey(p) {
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+/** 最後一次記錄的時間（ms）；從沒記錄過回傳 null（不提醒） */
+async function lastActivityAt(owner) {
+  const logs = await store.list("logs", { ownerId: owner.ownerId });
+  let last = null;
+  for (const log of logs) {
+    if (log.deleted) continue;
+    const t = new Date(log.createdAt || log.timeISO).getTime();
+    if (t > last) last = t;
+  }
+  return last;
+}
+
+async function pushSummary(owner, rangeType, title) {
+  const { start, end } = getDateRange(rangeType, ownerTimeZone(owner));
+  const result = await getSummary(owner.ownerId, start, end);
+  // 沒有紀錄也沒有待辦就不推，省推播額度
+  if (!result.rows?.length && !result.todos?.length) return true;
+  const { text, messages } = buildSummaryReply(title, result);
+  return linePush(owner.ownerId, messages || text);
+}
+
+async function runForOwner(owner, now) {
+  const sent = [];
+  const local = zonedParts(now, ownerTimeZone(owner));
+  const hour = local.hour;
+  const today = dateKey(local);
+
+  // 過期未完成的待辦延到今天（總結的「計畫 vs 完成」才會算在今天）
+  await rollOverTodos(owner.ownerId, ownerTimeZone(owner), now);
+
+  // 已封鎖 / 退出群組的 owner 推不到，也不該再推
+  if (owner.active === false || owner.optOut || isQuietHour(owner, hour)) return sent;
+
+  // 每日總結
+  if (hour >= Number(DIGEST_HOUR) && owner.lastDigestDate !== today) {
+    if (await pushSummary(owner, "today", "今日總結")) {
+      await updateOwner(owner.ownerId, { lastDigestDate: today });
+      sent.push("digest");
+    }
+  }
+
+  // 週一回顧上週
+  if (local.weekday === 1 && hour >= Number(WEEKLY_HOUR) && owner.lastWeeklyDate !== today) {
+    if (await pushSummary(owner, "lastWeek", "上週回顧")) {
+      await updateOwner(owner.ownerId, { lastWeeklyDate: today });
+      sent.push("weekly");
+    }
+  }
+
+  // 閒置提醒：同一段空檔只提醒一次
+  const nudgeHours = Number(NUDGE_HOURS);
+  if (nudgeHours > 0) {
+    const last = await lastActivityAt(owner);
+    const idleHours = last === null ? 0 : (Date.now() - last) / 3600000;
+    const alreadyNudged = owner.lastNudgeAt && new Date(owner.lastNudgeAt).getTime() > last;
+    if (last !== null && idleHours >= nudgeHours && !alreadyNudged) {
+      const ok = await linePush(
+        owner.ownerId,
+        `👋 已經 ${Math.floor(idleHours)} 小時沒有紀錄了，現在在忙什麼呢？隨手記一句就好～\n（不想收到提醒可以輸入「停止推播」）`
+      );
+      if (ok) {
+        await updateOwner(owner.ownerId, { lastNudgeAt: new Date().toISOString() });
+        sent.push("nudge");
+      }
+    }
+  }
+  return sent;
+}
+
+export default async function handler(req, res) {
+  if (!isAuthorized(req)) return res.status(401).send("Unauthorized");
+
+  try {
+    // 先補送 Sheet，總結才會包含之前同步失敗的紀錄
+    const sheet = await flushAllOutboxes();
+
+    const now = new Date();
+    const report = {};
+    for (const owner of await listOwners()) {
+      try {
+        const sent = await runForOwner(owner, now);
+        if (sent.length) report[owner.ownerId] = sent;
+      } catch (e) {
+        console.error("[CRON ERROR]", owner.ownerId, e);
+      }
+    }
+    return res.status(200).json({ ok: true, sent: report, sheet });
+  } catch (e) {
+    console.error("[CRON ERROR]", e);
+    return res.status(500).end();
+  }
+}
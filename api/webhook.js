@@ -1,34 +1,91 @@
-import { createHmac } from "node:crypto";
-import OpenAI from "openai";
+import { createHmac, randomUUID } from "node:crypto";
+import { waitUntil } from "@vercel/functions";
+import { getStore } from "../lib/store.js";
+import { addUsage, complete, completeJSON, emptyUsage, transcribe } from "../lib/llm.js";
+import { createRouter } from "../lib/router.js";
+import { lineGetContent, linePush, lineReply } from "../lib/line.js";
+import { claimEvent } from "../lib/dedupe.js";
+import { describeOutbox, isSheetEnabled, retryFailed, sheetNote, sheetNotes, syncToSheet } from "../lib/sheet.js";
+import { buildLedgerReply, buildSummaryReply, fetchLocalSummary, getSummary, resolveSummaryRange } from "../lib/summary.js";
+import { parseDateTime } from "../lib/datetime.js";
+import { MAX_ENTRIES, splitEntries } from "../lib/entries.js";
+import { describeMoney, parseMoney, parseMoneyInput } from "../lib/money.js";
+import { buildReview } from "../lib/review.js";
+import { findRelevantLogs, loadConversation, logPromptLine, saveTurns } from "../lib/memory.js";
+import { addTodo, formatTodoId, getTodo, listOpenTodos, rollOverTodos, todoLine, updateTodo } from "../lib/todos.js";
+import { nowUtcISO, resolveTimeZone, zonedDisplay } from "../lib/time.js";
+import { describePushSettings, ensureOwner, getOwner, getTimeZone, ownerTimeZone, updateOwner } from "../lib/owners.js";
+import { bigrams, findSimilarExamples, saveExample } from "../lib/examples.js";
+import {
+  addKeywords,
+  addMainModule,
+  addTag,
+  buildClassifyPrompt,
+  categoryExample,
+  CLASSIFY_SCHEMA,
+  describeCategoryFields,
+  describeTaxonomy,
+  findMainModule,
+  findTag,
+  getTaxonomy,
+  matchRules,
+  normalizeCategory,
+  removeKeywords,
+  removeMainModule,
+  removeTag,
+  resetTaxonomy,
+  saveTaxonomy,
+} from "../lib/taxonomy.js";
+import {
+  buildBatchMessage,
+  buildLogMessage,
+  fixCategoryQuickReply,
+  formatConfidence,
+  formatDuration,
+  formatLogId,
+  parsePostbackData,
+  quickReply,
+  tagQuickReply,
+} from "../lib/messages.js";
 
 const { 
   LINE_CHANNEL_SECRET,
-  LINE_CHANNEL_ACCESS_TOKEN,
-  OPENAI_API_KEY,
   SYSTEM_MESSAGE,
-  SHEET_WEBHOOK_URL // 在 Vercel 設定
+  PHOTO_CAPTION_WINDOW_MIN = "3", // 照片後幾分鐘內的文字視為照片說明
 } = process.env;
 
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
-
-// --- 模組級暫存（冷啟動會清空） ---
-let logs = [];        // { type, timeISO, timeDisplay, summary, main[], tags[], deleted? }
-let chatHistory = []; // 對話延續
-// 暫存撤銷紀錄，用於復原
-let lastUndone = null;
-
-// ---------------- 工具：時間 ----------------
-function nowUtcISO() {
-  return new Date().toISOString();
+// --- 儲存層（STORE_DRIVER 決定 adapter；Google Sheet 只是鏡像） ---
+// logs 集合：{ id, ownerId, type, timeISO, timeDisplay, timeZone?, timeConfidence?, createdAt, summary, main[], tags[], confidence,
+//             startISO?, endISO?, durationMin?（計時紀錄）,
+//             transcript?, imageMessageId?, imageDescription?, caption?, rawText?（原始輸入）, confirmed?, deleted?,
+//             batchId?（同一則訊息拆出的多筆共用）,
+//             todoId?（由待辦「完成」轉成的紀錄）,
+//             amount?, currency?, direction?（收支：金額、幣別代碼、expense|income，見 lib/money.js）,
+//             llmUsage?（{ mode: combined|separate, promptTokens, completionTokens, totalTokens }） }
+// 單值（每個 owner 一份）：chatHistory:<ownerId>（對話延續 { summary, turns }，見 lib/memory.js）、
+//                         undoStack:<ownerId>（撤銷過的紀錄 id，整批撤銷為 id 陣列，供「復原」依序取回）、
+//                         lastBatchId:<ownerId>（最近一次多筆紀錄的 batchId，供「撤銷整批」）、
+//                         lastSummaryIds:<ownerId>（上一次總結清單的紀錄 id，供「撤銷 3」用序號指定）、
+//                         pendingCaption:<ownerId>（等待說明的照片紀錄 { logId, senderId, expiresAt }）、
+//                         openSessionId:<ownerId>（計時中的紀錄 id）
+const store = getStore();
+
+// ---------------- 資料範圍（依 LINE event.source） ----------------
+// 群組 / 聊天室內共用一份資料；一對一則以使用者為單位
+function getOwnerId(source = {}) {
+  return source.groupId || source.roomId || source.userId || "unknown";
 }
-function nowTaipeiDisplay() {
-  return new Date().toLocaleString("zh-TW", { timeZone: "Asia/Taipei" });
+function ownerKey(name, ownerId) {
+  return `${name}:${ownerId}`;
+}
+
+async function getLog(ownerId, id) {
+  const log = await store.get("logs", id);
+  return log && log.ownerId === ownerId ? log : null;
 }
-// 以台灣時間為基準取 now、並回傳 JS Date（實際是 UTC 時刻）
-function taiwanNow() {
-  const now = new Date();
-  const tzOffset = 8 * 60;
-  return new Date(now.getTime() + (tzOffset - now.getTimezoneOffset()) * 60000);
+async function findLastActiveLog(ownerId) {
+  const logs = await store.list("logs", { ownerId });
+  return [...logs].reverse().find((log) => !log.deleted) || null;
 }
 
 // ---------------- 驗證 LINE 簽章 ----------------
@@ -40,289 +97,1601 @@ function verifyLineSignature(rawBody, signature) {
   return hmac === signature;
 }
 
-// ---------------- LINE Reply ----------------
-async function lineReply(replyToken, text) {
-  const url = "https://api.line.me/v2/bot/message/reply";
-  const body = JSON.stringify({
-    replyToken,
-    messages: [{ type: "text", text }],
-  });
-  const headers = {
-    Authorization: `Bearer ${LINE_CHANNEL_ACCESS_TOKEN}`,
-    "Content-Type": "application/json",
-  };
+// ---------------- 訊息判斷 ----------------
+// 問句或非記錄語氣（意見、請求）→ 當對話；多筆訊息的每一行也用這個檢查
+function isChatLike(text) {
+  // 問句
+  if (/[嗎\?？]$/.test(text)) return true;
+
+  // 非記錄語氣 → 只檢查句首，避免誤殺
+  const nonLogStarts = ["我覺得", "我希望", "我猜", "我認為", "可以幫", "能不能", "要不要", "是不是"];
+  return nonLogStarts.some((p) => text.startsWith(p));
+}
+
+function isLogCandidate(text) {
+  if (isChatLike(text)) return false;
+
+  // 排除特指指令
+  if (text.startsWith("補記") || text.includes("總結") || text.startsWith("撤銷") || text.startsWith("修正") || text.startsWith("編輯")) return false;
+
+  // 常見動詞
+  const verbs = ["起床", "出門", "到", "回", "吃", "喝", "買", "畫", "寫", "處理", "做", "打掃", "清理", "看", "睡", "休息", "洗", "完成", "結束", "準備"];
+  if (verbs.some((v) => text.includes(v))) return true;
+
+  // 常見敘述語氣
+  if (/^我/.test(text) || text.includes("正在") || text.includes("剛")) return true;
+
+  return false;
+}
+
+// ---------------- 計時（開始 / 結束） ----------------
+// 計時中說「畫完了」之類也視為結束（「結束」本身是指令）；
+// 要提到計時中的活動才算，計時畫分鏡時說「午餐吃完了」照一般紀錄記下
+function isSessionEnd(text, session) {
+  const stem = text.match(/^(.*?)完了[。！!～~]*$/s)?.[1].trim();
+  if (stem == null) return false;
+  if (!stem || session.rawText.includes(stem.at(-1))) return true; // 「完了」「我畫完了」
+  const activity = bigrams(session.rawText);
+  return [...bigrams(stem)].some((g) => activity.has(g));
+}
+function diffMinutes(startISO, endISO) {
+  return Math.max(0, Math.round((new Date(endISO) - new Date(startISO)) / 60000));
+}
+
+// ---------------- 分類（關鍵字 + GPT fallback） ----------------
+// 主模組、輔助分類與關鍵字規則見 lib/taxonomy.js（每個 owner 可用指令調整）
 
-  const resp = await fetch(url, { method: "POST", headers, body });
-  if (!resp.ok) {
-    const t = await resp.text();
-    console.error("[LINE REPLY ERROR]", resp.status, t);
+// 分類信心（0~1）：關鍵字命中 1、相似範例＝相似度、GPT 自評（預設 0.7）、失敗 0；
+// 低於門檻的紀錄卡片會出現「確認分類」
+const LOW_CONFIDENCE = 0.8;
+function needsConfirm(log) {
+  return !log.confirmed && (log.confidence ?? 1) < LOW_CONFIDENCE;
+}
+
+// 使用者修正 / 確認過的範例（lib/examples.js）：
+// 相似度達 NEAREST_MATCH_MIN 直接沿用，不呼叫 GPT；否則最相似的幾筆當 few-shot
+const NEAREST_MATCH_MIN = 0.6;
+const FEW_SHOT_COUNT = 5;
+
+function clampConfidence(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(1, Math.max(0, n)) : fallback;
+}
+
+/**
+ * 不呼叫 GPT 的分類：相似範例（相似度達門檻）→ 關鍵字規則。
+ * 回傳 { category: { main[], tags[], confidence } | null, similar }（similar 供 GPT few-shot）
+ */
+async function classifyLocally(ownerId, taxonomy, text) {
+  // 範例的主模組可能已被刪除，只用仍存在的
+  const similar = (await findSimilarExamples(ownerId, text, FEW_SHOT_COUNT)).filter(({ example }) =>
+    example.main.every((m) => taxonomy.mainModules.includes(m))
+  );
+  const nearest = similar[0];
+  if (nearest && nearest.score >= NEAREST_MATCH_MIN) {
+    const category = {
+      main: [...nearest.example.main],
+      tags: [...nearest.example.tags],
+      confidence: Math.round(nearest.score * 100) / 100,
+    };
+    return { category, similar };
   }
-  return resp.ok;
+
+  // 再用 keyword 規則判斷（狹義）
+  return { category: matchRules(taxonomy, text), similar };
 }
 
-// ---------------- Google Sheet 同步 ----------------
-async function syncToSheet(payload) {
-  if (!SHEET_WEBHOOK_URL) {
-    console.warn("SHEET_WEBHOOK_URL 未設定，略過同步");
-    return;
+function fallbackCategory(taxonomy) {
+  return { main: [...taxonomy.fallback.main], tags: [...taxonomy.fallback.tags], confidence: 0 };
+}
+
+/** -------- 分類 --------
+ * 順序：相似範例 → 關鍵字規則 → GPT（附 few-shot 範例）
+ * usage：傳入時累加模型用量（lib/llm.js addUsage）
+ * 回傳：{ main[], tags[], confidence }
+ */
+async function classifyStateLog(ownerId, text, usage = null) {
+  const taxonomy = await getTaxonomy(ownerId);
+  try {
+    const { category, similar } = await classifyLocally(ownerId, taxonomy, text);
+    if (category) return category;
+
+    // 其他交給 GPT fallback（提示詞與規則來自同一份設定；相似範例由遠到近放在前面當示範）
+    const fewShot = similar.reverse().flatMap(({ example }) => [
+      { role: "user", content: example.text },
+      {
+        role: "assistant",
+        content: JSON.stringify({ main: example.main, tags: example.tags, confidence: 1 }),
+      },
+    ]);
+    const r = await completeJSON(
+      "classify",
+      [
+        { role: "system", content: buildClassifyPrompt(taxonomy) },
+        ...fewShot,
+        { role: "user", content: text },
+      ],
+      CLASSIFY_SCHEMA
+    );
+    if (usage) addUsage(usage, r.usage);
+    return { ...normalizeCategory(taxonomy, r.data), confidence: clampConfidence(r.data.confidence, 0.7) };
+  } catch (e) {
+    console.error("[GPT 分類錯誤]", e);
+    return fallbackCategory(taxonomy);
   }
+}
+
+// ---------------- 摘要 + 小語 ----------------
+const SUMMARY_RULE = "將輸入壓縮成不超過15字的事件描述，去掉贅字語氣詞，語氣自然，不要加句號。";
+
+const PHRASE_RULES = `規則：
+- 即時紀錄 → 用現在進行式，像陪伴聊天。
+- 補記 → 用已完成/回顧語氣，避免「正在、準備」。
+- 語氣自然，像熟人，輕鬆幽默即可。
+- 可以有簡單鼓勵、心情回應、提醒或小知識。
+- 避免浮誇、網路流行語。
+- 句尾保持自然標點（句號、驚嘆號、問號均可）。
+- 偶爾可以使用表情符號，但不過度輕浮。
+- 短語長度可在 10–50 字之間變化。
+- 句型保持多樣化。
+- 可偶爾加入隱性情緒或效果描述（例如「空間清爽多了」「看來會很忙碌」）。`;
+
+function persona() {
+  return SYSTEM_MESSAGE || "你是 Jean 的 LINE 助理，以和使用者對話的語氣用繁體中文自然回應。";
+}
+
+function cleanSummary(text) {
+  return text.trim().replace(/[。！？、,.]$/, ""); // 去尾標點
+}
+
+async function summarizeEvent(text, usage = null) {
   try {
-    await fetch(SHEET_WEBHOOK_URL, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-    });
+    const r = await complete("summarize", [
+      { role: "system", content: SUMMARY_RULE },
+      { role: "user", content: text },
+    ]);
+    if (usage) addUsage(usage, r.usage);
+    return cleanSummary(r.text);
   } catch (e) {
-    console.error("[Google Sheet 同步失敗]", e);
+    console.error("[GPT 摘要錯誤]", e);
+    return text;
   }
 }
 
-// ---------------- 訊息判斷 ----------------
-function isBacklogMessage(text) {
-  return /^補記/.test(text.trim());
+/** 小語（SYSTEM_MESSAGE + 規則混合版；支援補記語氣） */
+async function generateShortPhrase(text, isBacklog = false, usage = null) {
+  try {
+    const r = await complete("phrase", [
+      {
+        role: "system",
+        content: `${persona()}
+任務指令：
+請根據輸入內容生成一句不超過 50 字的短語。
+
+${PHRASE_RULES}`,
+      },
+      {
+        role: "user",
+        content: isBacklog ? `這是一則補記：${text}` : `這是一則即時紀錄：${text}`,
+      },
+    ]);
+    if (usage) addUsage(usage, r.usage);
+    return r.text || "（狀態已記錄）";
+  } catch (e) {
+    console.error("[短語生成錯誤]", e);
+    return "（狀態已記錄）";
+  }
 }
-function isSummaryRequest(text) {
-  return text.includes("總結"); 
+
+// ---------------- 一次完成：分類 + 摘要 + 小語 ----------------
+const ENRICH_SCHEMA = {
+  type: "object",
+  required: ["summary", "phrase"],
+  properties: {
+    summary: { type: "string", minLength: 1, maxLength: 40 },
+    phrase: { type: "string", minLength: 1, maxLength: 120 },
+    ...CLASSIFY_SCHEMA.properties,
+  },
+};
+
+function buildEnrichPrompt(taxonomy, { isBacklog, needCategory, similar }) {
+  const example = { summary: "整理工作室書架", phrase: "空間清爽多了，找資料也輕鬆！" };
+  if (needCategory) Object.assign(example, categoryExample(taxonomy));
+  const examples = similar.map(
+    ({ example: e }) => `- 「${e.text}」→ ${e.main.join(" + ")}｜${e.tags.join(" + ") || "無"}`
+  );
+
+  return `${persona()}
+任務指令：
+輸入是一則${isBacklog ? "補記" : "即時紀錄"}，請一次產生：
+- summary：${SUMMARY_RULE}
+- phrase：一句不超過 50 字的短語，${PHRASE_RULES}
+` +
+    (needCategory
+      ? `並依下列說明分類：
+${describeCategoryFields(taxonomy)}` +
+        (examples.length ? `使用者確認過的分類範例：\n${examples.join("\n")}\n` : "")
+      : "") +
+    `只回 JSON，例如：
+${JSON.stringify(example)}`;
 }
-function isUndoRequest(text) {
-  return text.includes("撤銷") || text.includes("刪除上一則");
+
+/**
+ * 分類 + 摘要 + 小語。
+ *  - 相似範例 / 關鍵字能決定分類時，GPT 只負責摘要與小語
+ *  - 一次呼叫（task: enrich）取得全部；失敗時退回分開呼叫（classify / summarize / phrase）
+ * 回傳：{ category, summary, shortPhrase, llmUsage: { mode, promptTokens, completionTokens, totalTokens } }
+ */
+async function enrichLog(ownerId, text, { isBacklog = false } = {}) {
+  const taxonomy = await getTaxonomy(ownerId);
+  const usage = emptyUsage();
+  let local = { category: null, similar: [] };
+  try {
+    local = await classifyLocally(ownerId, taxonomy, text);
+  } catch (e) {
+    console.error("[範例比對錯誤]", e);
+  }
+
+  try {
+    const needCategory = !local.category;
+    const r = await completeJSON(
+      "enrich",
+      [
+        { role: "system", content: buildEnrichPrompt(taxonomy, { isBacklog, needCategory, similar: local.similar }) },
+        { role: "user", content: text },
+      ],
+      needCategory ? { ...ENRICH_SCHEMA, required: [...ENRICH_SCHEMA.required, "main", "tags"] } : ENRICH_SCHEMA
+    );
+    addUsage(usage, r.usage);
+    const category = local.category || {
+      ...normalizeCategory(taxonomy, r.data),
+      confidence: clampConfidence(r.data.confidence, 0.7),
+    };
+    return {
+      category,
+      summary: cleanSummary(r.data.summary),
+      shortPhrase: r.data.phrase.trim(),
+      llmUsage: { mode: "combined", ...usage },
+    };
+  } catch (e) {
+    console.error("[GPT 一次完成失敗，改為分開呼叫]", e.message);
+  }
+
+  const [category, summary, shortPhrase] = await Promise.all([
+    local.category || classifyStateLog(ownerId, text, usage),
+    summarizeEvent(text, usage),
+    generateShortPhrase(text, isBacklog, usage),
+  ]);
+  return { category, summary, shortPhrase, llmUsage: { mode: "separate", ...usage } };
 }
-function isRedoRequest(text) {
-  return text.includes("復原");
+
+// ---------------- 語音轉文字 ----------------
+async function transcribeAudio(buffer, contentType) {
+  // LINE 語音訊息為 m4a
+  const r = await transcribe("transcribe", { buffer, contentType, filename: "voice.m4a" });
+  return r.text;
 }
-function isFixRequest(text) {
-  return text.startsWith("修正");
+
+// ---------------- 照片描述 ----------------
+async function describeImage(buffer, contentType) {
+  const r = await complete("vision", [
+    {
+      role: "system",
+      content: "你是日誌助理。用繁體中文一句話（不超過30字）描述照片中正在進行的事或主要物品，例如作品進度、佈展現場、收據內容與金額；不要加句號。",
+    },
+    {
+      role: "user",
+      content: [
+        {
+          type: "image_url",
+          image_url: { url: `data:${contentType};base64,${buffer.toString("base64")}` },
+        },
+      ],
+    },
+  ]);
+  return r.text.replace(/[。！？、,.]$/, "");
 }
 
-function isLogCandidate(text) {
-  // 問句 → 當對話
-  if (/[嗎\?？]$/.test(text)) return false;
+// ---------------- 紀錄操作（文字指令與 postback 共用） ----------------
+const UNDO_STACK_LIMIT = 50;
+
+/** 撤銷 / 復原共用：改 deleted 標記並同步 Sheet；回傳 Sheet 結果（見 sheetNote） */
+async function setDeleted(ownerId, targetLog, deleted) {
+  await store.update("logs", targetLog.id, { deleted });
+  // 由待辦轉成的紀錄：撤銷時待辦回到未完成，復原時再勾掉
+  const todo = targetLog.todoId ? await getTodo(ownerId, targetLog.todoId) : null;
+  if (todo) await updateTodo(todo, { status: deleted ? "open" : "done" });
+  if (deleted) {
+    return syncToSheet({
+      action: "delete",
+      ownerId,
+      id: targetLog.id,
+      timeISO: targetLog.timeISO || "",
+      timeDisplay: targetLog.timeDisplay || "",
+    });
+  }
+  return syncToSheet({
+    action: "restore",
+    ownerId,
+    id: targetLog.id,
+    timeISO: targetLog.timeISO || "",
+    timeDisplay: targetLog.timeDisplay || "",
+    summary: targetLog.summary || "",
+    main: targetLog.main || [],
+    tags: targetLog.tags || [],
+    amount: targetLog.amount ?? null,
+    currency: targetLog.currency || "",
+    direction: targetLog.direction || "",
+  });
+}
 
-  // 非記錄語氣 → 只檢查句首，避免誤殺
-  const nonLogStarts = ["我覺得", "我希望", "我猜", "我認為", "可以幫", "能不能", "要不要", "是不是"];
-  if (nonLogStarts.some((p) => text.startsWith(p))) return false;
+// 撤銷堆疊：每一項是紀錄 id，整批撤銷時是 id 陣列（「復原」一起取回）
+async function pushUndoStack(ownerId, entry) {
+  const stack = await store.getValue(ownerKey("undoStack", ownerId), []);
+  stack.push(entry);
+  await store.setValue(ownerKey("undoStack", ownerId), stack.slice(-UNDO_STACK_LIMIT));
+}
 
-  // 排除特指指令
-  if (text.startsWith("補記") || text.includes("總結") || text.startsWith("撤銷")) return false;
+async function removeFromUndoStack(ownerId, ids) {
+  const stack = await store.getValue(ownerKey("undoStack", ownerId), []);
+  const rest = stack
+    .map((entry) => (Array.isArray(entry) ? entry.filter((id) => !ids.includes(id)) : entry))
+    .filter((entry) => (Array.isArray(entry) ? entry.length : !ids.includes(entry)));
+  await store.setValue(ownerKey("undoStack", ownerId), rest);
+}
 
-  // 常見動詞
-  const verbs = ["起床", "出門", "到", "回", "吃", "喝", "買", "畫", "寫", "處理", "做", "打掃", "清理", "看", "睡", "休息", "洗", "完成", "準備"];
-  if (verbs.some((v) => text.includes(v))) return true;
+function logLine(log) {
+  return `${formatLogId(log)}：${log.timeDisplay || ""}｜${log.summary || "(無摘要)"}`;
+}
 
-  // 常見敘述語氣
-  if (/^我/.test(text) || text.includes("正在") || text.includes("剛")) return true;
+async function undoLog(ownerId, targetLog) {
+  const result = await setDeleted(ownerId, targetLog, true);
+  await pushUndoStack(ownerId, targetLog.id);
+  return `↩️ 已撤銷紀錄 ${logLine(targetLog)}${sheetNote(result)}`;
+}
 
-  return false;
+async function restoreLog(ownerId, targetLog) {
+  const result = await setDeleted(ownerId, targetLog, false);
+  await removeFromUndoStack(ownerId, [targetLog.id]);
+  return `✅ 已復原紀錄 ${logLine(targetLog)}${sheetNote(result)}`;
+}
+
+/** 整批撤銷（同一 batchId 中尚未撤銷的紀錄）；batchId 為空或都已撤銷時回傳提示 */
+async function undoBatch(ownerId, batchId) {
+  if (!batchId) return "⚠️ 沒有可撤銷的整批紀錄";
+  const logs = (await store.list("logs", { ownerId, batchId }))
+    .filter((log) => !log.deleted)
+    .sort((a, b) => a.id - b.id);
+  if (!logs.length) return "⚠️ 這一批紀錄已經都撤銷了";
+
+  const results = [];
+  for (const log of logs) results.push(await setDeleted(ownerId, log, true));
+  await pushUndoStack(ownerId, logs.map((log) => log.id));
+  return `↩️ 已撤銷整批 ${logs.length} 筆：\n${logs.map(logLine).join("\n")}${sheetNotes(results)}`;
+}
+
+async function restoreBatch(ownerId, logs) {
+  const results = [];
+  for (const log of logs) results.push(await setDeleted(ownerId, log, false));
+  await removeFromUndoStack(ownerId, logs.map((log) => log.id));
+  return `✅ 已復原整批 ${logs.length} 筆：\n${logs.map(logLine).join("\n")}${sheetNotes(results)}`;
 }
 
-// ---------------- 補記時間解析 ----------------
 /**
- * 解析補記用時間：
- *  - 支援：今天 / 昨天 / 前天 / 明天、mm/dd 或 mm-dd、HH:MM、H點半
- *  - 若含「約 / 大約」且無日期 → 原樣回傳（display 保留，iso=null）
- * 回傳：{ display: string, iso: string|null }
+ * 修改紀錄（patch 可含任何欄位）並同步 Sheet；回傳更新後的紀錄
+ * 使用者改了分類（confirmed + main / tags）時，存成分類範例供之後學習
  */
-function parseDateTimeDetailed(text) {
-  const now = new Date();
-  const tzOffset = 8 * 60;
-  const taiwanNowDate = new Date(
-    now.getTime() + (tzOffset - now.getTimezoneOffset()) * 60000
-  );
+async function updateLog(ownerId, targetLog, patch) {
+  const updated = await store.update("logs", targetLog.id, patch);
+  if (patch.confirmed && (patch.main || patch.tags)) await saveExample(updated, "correction");
+
+  // 同步更新 Google Sheet（以 id 為 key，送整筆紀錄）
+  await syncToSheet({ action: "update", ...updated });
+  return updated;
+}
+
+async function fixedLogReply(log) {
+  const { mainModules } = await getTaxonomy(log.ownerId);
+  const text = `📝 已修正紀錄 ${formatLogId(log)}：${log.timeDisplay}\n📂 主模組：${log.main.join(" + ")}\n🏷️ 輔助：${log.tags.join(" + ")}`;
+  return buildLogMessage(log, {
+    heading: "📝 已修正",
+    fallbackText: text,
+    mainModules,
+    needsConfirm: needsConfirm(log),
+  });
+}
+
+// ---------------- 新增紀錄（文字 / 語音 / 照片共用） ----------------
+/** 即時紀錄的時間欄位：現在時刻，依 owner 的時區顯示 */
+async function nowTimeFields(ownerId) {
+  const timeZone = await getTimeZone(ownerId);
+  const timeISO = nowUtcISO();
+  return { timeISO, timeDisplay: zonedDisplay(timeISO, timeZone), timeZone };
+}
+
+/** enrichLog 的結果存成紀錄並同步 Sheet；回傳存好的紀錄 */
+async function saveLog(ownerId, content, fields, { category, summary, llmUsage }) {
+  const saved = await store.insert("logs", {
+    ownerId,
+    ...fields,
+    createdAt: nowUtcISO(),
+    rawText: content, // 原始輸入，修正分類時當學習範例
+    ...parseMoney(content), // 「買顏料 350元」→ amount / currency / direction
+    summary,
+    main: category.main,
+    tags: category.tags,
+    confidence: category.confidence,
+    llmUsage,
+  });
+
+  // 同步新增
+  await syncToSheet({
+    action: "append",
+    ...saved,
+  });
+  return saved;
+}
+
+/**
+ * 分類 + 摘要 + 小語（enrichLog）後存檔並同步 Sheet。
+ * fields：{ type, timeISO, timeDisplay, ...其他一併保存的欄位（如 transcript） }
+ * heading：回覆標題，預設依 type 決定（「📝 補記」/「🕰️ 已記錄」）
+ * 回傳：{ log, text, messages }（存好的紀錄，及純文字版與卡片版回覆）
+ */
+async function recordLog(ownerId, content, fields, heading = null) {
+  const isBacklog = fields.type === "backlog";
+  const enrichment = await enrichLog(ownerId, content, { isBacklog });
+  const { category, summary, shortPhrase } = enrichment;
+  const saved = await saveLog(ownerId, content, fields, enrichment);
+
+  heading ||= isBacklog ? "📝 補記" : "🕰️ 已記錄";
+  const text = `${heading} ${formatLogId(saved)}：${saved.timeDisplay}\n` +
+               (saved.durationMin != null ? `⏱️ 時長：${formatDuration(saved.durationMin)}\n` : "") +
+               (saved.transcript ? `🎙️ 語音：${saved.transcript}\n` : "") +
+               (saved.imageDescription ? `🖼️ 照片：${saved.imageDescription}\n` : "") +
+               `📌 狀態：${summary}\n` +
+               (saved.amount != null ? `💰 ${describeMoney(saved)}\n` : "") +
+               `📂 主模組：${category.main.join(" + ") || "無"}\n` +
+               `🏷️ 輔助：${category.tags.join(" + ") || "無"}\n` +
+               (needsConfirm(saved) ? `🤔 分類信心 ${formatConfidence(saved.confidence)}，不對的話輸入「修正」\n` : "") +
+               `\n${shortPhrase}`;
+  const { mainModules } = await getTaxonomy(ownerId);
+  const messages = buildLogMessage(saved, {
+    heading,
+    shortPhrase,
+    fallbackText: text,
+    mainModules,
+    needsConfirm: needsConfirm(saved),
+  });
+  return { log: saved, text, messages };
+}
+
+// ---------------- 計時紀錄 ----------------
+async function findOpenSession(ownerId) {
+  const id = await store.getValue(ownerKey("openSessionId", ownerId));
+  const log = id ? await getLog(ownerId, id) : null;
+  return log && !log.deleted && !log.endISO ? log : null;
+}
+
+/** 結束計時：寫入 endISO / durationMin 並同步 Sheet；回傳更新後的紀錄 */
+async function closeSession(ownerId, session) {
+  const endISO = nowUtcISO();
+  const durationMin = diffMinutes(session.startISO, endISO);
+  await store.setValue(ownerKey("openSessionId", ownerId), null);
+  return updateLog(ownerId, session, { endISO, durationMin });
+}
+
+function sessionClosedText(log) {
+  return `⏹️ 已結束 ${formatLogId(log)}：${log.summary || "(無摘要)"}（從 ${log.timeDisplay} 起，共 ${formatDuration(log.durationMin)}）`;
+}
+
+// ---------------- 語音訊息 ----------------
+// 轉成文字後走跟文字相同的即時紀錄流程，逐字稿存在紀錄的 transcript 欄位
+async function handleAudioMessage(ownerId, message) {
+  let transcript;
+  try {
+    const { buffer, contentType } = await lineGetContent(message.id);
+    transcript = await transcribeAudio(buffer, contentType);
+  } catch (e) {
+    console.error("[語音轉文字錯誤]", e);
+    return "⚠️ 語音辨識失敗，請稍後再試或改用文字";
+  }
+
+  if (!transcript) return "🎙️ 沒有聽到內容，可以再說一次嗎？";
+  if (!isLogCandidate(transcript)) {
+    return `🎙️ 語音內容：${transcript}\n（看起來不是狀態紀錄，這則沒有記下）`;
+  }
+
+  const { messages } = await recordLog(ownerId, transcript, {
+    type: "instant",
+    ...(await nowTimeFields(ownerId)),
+    transcript,
+  });
+  return messages;
+}
 
-  // 模糊時間：直接保留原樣
-  if (/約|大約/.test(text)) {
-    const approx = text.match(/約.*$/)?.[0] || text;
-    return { display: approx.trim(), iso: null };
+// ---------------- 照片訊息 ----------------
+// 以視覺模型描述照片後存成紀錄；之後短時間內同一個人傳的文字可當作說明（見 attachCaption）
+async function handleImageMessage(ownerId, message, senderId) {
+  let description;
+  try {
+    const { buffer, contentType } = await lineGetContent(message.id);
+    description = await describeImage(buffer, contentType);
+  } catch (e) {
+    console.error("[照片描述錯誤]", e);
+    return "⚠️ 照片辨識失敗，請稍後再試或改用文字";
   }
+  if (!description) return "🖼️ 看不太出照片內容，可以用文字補充嗎？";
+
+  const { log: saved, messages } = await recordLog(ownerId, description, {
+    type: "instant",
+    ...(await nowTimeFields(ownerId)),
+    imageMessageId: message.id,
+    imageDescription: description,
+  });
+
+  const windowMin = Number(PHOTO_CAPTION_WINDOW_MIN) || 0;
+  if (windowMin > 0) {
+    await store.setValue(ownerKey("pendingCaption", ownerId), {
+      logId: saved.id,
+      senderId, // 群組裡只有傳照片的人的文字算說明
+      expiresAt: Date.now() + windowMin * 60000,
+    });
+    messages.push({ type: "text", text: `💬 ${windowMin} 分鐘內傳文字，就會當作這張照片的說明` });
+  }
+  return messages;
+}
+
+/** 取出仍在時效內、等待 senderId 說明的照片紀錄；逾時、已撤銷或是別人傳的照片回傳 null */
+async function findCaptionTarget(ownerId, senderId) {
+  const pending = await store.getValue(ownerKey("pendingCaption", ownerId));
+  if (!pending) return null;
+  if (Date.now() > pending.expiresAt) {
+    await store.setValue(ownerKey("pendingCaption", ownerId), null);
+    return null;
+  }
+  if (pending.senderId && pending.senderId !== senderId) return null;
+  const log = await getLog(ownerId, pending.logId);
+  return log && !log.deleted ? log : null;
+}
 
-  // 預設為今天
-  let y = taiwanNowDate.getFullYear();
-  let m = taiwanNowDate.getMonth() + 1;
-  let d = taiwanNowDate.getDate();
-  let hadDate = false;
+/** 文字說明 + 照片描述重新分類與摘要，更新原紀錄 */
+async function attachCaption(ownerId, targetLog, caption) {
+  await store.setValue(ownerKey("pendingCaption", ownerId), null);
+
+  const content = `${caption}（照片：${targetLog.imageDescription}）`;
+  const [category, summary] = await Promise.all([
+    classifyStateLog(ownerId, content),
+    summarizeEvent(content),
+  ]);
+  const updated = await updateLog(ownerId, targetLog, {
+    caption,
+    rawText: content,
+    ...parseMoney(content), // 收據照片：說明或照片描述裡的金額
+    summary,
+    main: category.main,
+    tags: category.tags,
+    confidence: category.confidence,
+  });
+
+  const text = `🖼️ 已加上照片說明：${caption}\n` +
+               `📌 狀態：${updated.summary}\n` +
+               (updated.amount != null ? `💰 ${describeMoney(updated)}\n` : "") +
+               `📂 主模組：${updated.main.join(" + ") || "無"}\n` +
+               `🏷️ 輔助：${updated.tags.join(" + ") || "無"}`;
+  const { mainModules } = await getTaxonomy(ownerId);
+  return buildLogMessage(updated, {
+    heading: "🖼️ 已加上說明",
+    fallbackText: text,
+    mainModules,
+    needsConfirm: needsConfirm(updated),
+  });
+}
 
-  if (/今天/.test(text)) {
-    hadDate = true;
-  } else if (/昨天/.test(text)) {
-    const t = new Date(taiwanNowDate);
-    t.setDate(t.getDate() - 1);
-    y = t.getFullYear(); m = t.getMonth() + 1; d = t.getDate(); hadDate = true;
-  } else if (/前天/.test(text)) {
-    const t = new Date(taiwanNowDate);
-    t.setDate(t.getDate() - 2);
-    y = t.getFullYear(); m = t.getMonth() + 1; d = t.getDate(); hadDate = true;
-  } else if (/明天/.test(text)) {
-    const t = new Date(taiwanNowDate);
-    t.setDate(t.getDate() + 1);
-    y = t.getFullYear(); m = t.getMonth() + 1; d = t.getDate(); hadDate = true;
+// ---------------- Postback（卡片按鈕 / 快速回覆） ----------------
+/**
+ * data 格式見 lib/messages.js postbackData：
+ *  - undo / fix / tags / confirm：id
+ *  - setMain：id + main；toggleTag：id + tag
+ * 回傳要回覆的訊息（字串或 messages）
+ */
+async function handlePostback(ownerId, data) {
+  const { action, id, main, tag, batch } = parsePostbackData(data);
+  if (action === "undoBatch") return undoBatch(ownerId, batch);
+
+  const targetLog = await getLog(ownerId, Number(id));
+  if (!targetLog || targetLog.deleted) return "⚠️ 找不到這筆紀錄（可能已撤銷）";
+
+  if (action === "undo") return undoLog(ownerId, targetLog);
+  const { mainModules, tags: tagOptions } = await getTaxonomy(ownerId);
+
+  if (action === "fix") {
+    return [
+      {
+        type: "text",
+        text: `要把「${targetLog.summary || "(無摘要)"}」改成哪個主模組？`,
+        quickReply: fixCategoryQuickReply(mainModules, targetLog.id),
+      },
+    ];
   }
 
-  // mm/dd 或 mm-dd
-  const md = text.match(/(\d{1,2})[\/\-](\d{1,2})/);
-  if (md) {
-    m = parseInt(md[1], 10);
-    d = parseInt(md[2], 10);
-    hadDate = true;
+  if (action === "tags") {
+    return [
+      {
+        type: "text",
+        text: `「${targetLog.summary || "(無摘要)"}」目前輔助：${targetLog.tags.join(" + ") || "無"}\n點選即可加上 / 移除`,
+        quickReply: tagQuickReply(tagOptions, targetLog),
+      },
+    ];
   }
 
-  // 時分
-  let hh = 0, mm = 0;
-  const hm = text.match(/(\d{1,2})(?:[:點](\d{1,2})?)/);
-  if (hm) {
-    hh = parseInt(hm[1], 10);
-    if (hm[2]) mm = parseInt(hm[2], 10);
-    else if (text.includes("半")) mm = 30;
+  if (action === "setMain" && mainModules.includes(main)) {
+    const updated = await updateLog(ownerId, targetLog, { main: [main], confirmed: true });
+    return fixedLogReply(updated);
   }
 
-  // 無法判斷日期 → 保留原樣
-  if (!hadDate) {
-    return { display: text.trim(), iso: null };
+  if (action === "toggleTag" && tagOptions.includes(tag)) {
+    const tags = targetLog.tags.includes(tag)
+      ? targetLog.tags.filter((t) => t !== tag)
+      : [...targetLog.tags, tag];
+    const updated = await updateLog(ownerId, targetLog, { tags, confirmed: true });
+    return [
+      ...(await fixedLogReply(updated)),
+      {
+        type: "text",
+        text: "還要調整輔助分類嗎？",
+        quickReply: tagQuickReply(tagOptions, updated),
+      },
+    ];
   }
 
-  const iso = new Date(
-    `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}T${String(hh).padStart(2, "0")}:${String(mm).padStart(2, "0")}:00+08:00`
-  ).toISOString();
+  if (action === "confirm") {
+    const confirmed = await store.update("logs", targetLog.id, { confirmed: true });
+    await saveExample(confirmed, "confirm");
+    return `👌 已確認分類：${targetLog.main.join(" + ")}｜${targetLog.tags.join(" + ") || "無"}`;
+  }
 
-  const display = `${m}/${d} ${String(hh).padStart(2, "0")}:${String(mm).padStart(2, "0")}`;
-  return { display, iso };
+  return "⚠️ 無法辨識的操作";
 }
 
-// ---------------- 分類（關鍵字 + GPT fallback） ----------------
-const galleryKeywords = [
-  "藝廊", "展覽", "展場", "佈展", "撤展", "策展", "會計", "收據",
-  "做網站", "架網站", "朝朝", "講座",
-  "顧展", "收展", "展品", "藝術家", "寄賣", "分潤", "對帳"
-];
-const officeActions = ["打掃", "清理", "整理", "收納", "維護", "修繕", "補貨", "檢查"];
-
-/** -------- 分類 -------- */
-async function classifyStateLog(text) {
-  try {
-    // 先用 keyword 判斷（狹義）
-    if (galleryKeywords.some((kw) => text.includes(kw))) {
-      return { main: ["A. 藝廊工作"], tags: ["🧾 行政"] };
+// ---------------- 文字指令 ----------------
+/**
+ * 解析撤銷 / 復原的目標：
+ *  - #12 → 紀錄 id
+ *  - 3   → 上一次總結清單的第 3 筆
+ *  - 其他 → 時間字串（timeISO / timeDisplay）
+ */
+async function resolveLogRef(ownerId, ref) {
+  const idMatch = ref.match(/^#(\d+)$/);
+  if (idMatch) return { log: await getLog(ownerId, Number(idMatch[1])), label: `紀錄 ${ref}` };
+
+  if (/^\d{1,3}$/.test(ref)) {
+    const ids = await store.getValue(ownerKey("lastSummaryIds", ownerId), []);
+    const id = ids[Number(ref) - 1];
+    return {
+      log: id ? await getLog(ownerId, id) : null,
+      label: `上次總結第 ${ref} 筆紀錄`,
+    };
+  }
+
+  const logs = await store.list("logs", { ownerId });
+  const log = logs.find((l) => l.timeISO === ref || l.timeDisplay === ref) || null;
+  return { log, label: `時間「${ref}」的紀錄`, isTime: true };
+}
+
+// 撤銷（撤銷 #12 / 撤銷 3 / 撤銷 <時間>；否則撤銷最後一筆）
+async function runUndo({ ownerId, args }) {
+  const ref = (args.ref || "").trim();
+  if (!ref) {
+    const targetLog = await findLastActiveLog(ownerId);
+    return targetLog ? undoLog(ownerId, targetLog) : "⚠️ 沒有可撤銷的紀錄";
+  }
+
+  const { log, label, isTime } = await resolveLogRef(ownerId, ref);
+  if (log && !log.deleted) return undoLog(ownerId, log);
+  if (log) return `⚠️ ${label} 已經撤銷過了`;
+
+  if (isTime && isSheetEnabled()) {
+    // 本地找不到就直接傳給 Google Sheet，由 Sheet 端去比對刪除
+    const result = await syncToSheet({
+      action: "delete",
+      ownerId,
+      timeISO: ref,     // 可能是 ISO
+      timeDisplay: ref, // 也可能是 display
+    });
+    return `↩️ 嘗試撤銷紀錄（以時間「${ref}」搜尋）${sheetNote(result)}`;
+  }
+  return `⚠️ 沒有找到${label}`;
+}
+
+// 復原（復原 → 取回最近一次撤銷，可重複；復原 #12 → 指定紀錄）
+async function runRedo({ ownerId, args }) {
+  const ref = (args.ref || "").trim();
+  if (ref) {
+    const { log, label } = await resolveLogRef(ownerId, ref);
+    if (!log) return `⚠️ 沒有找到${label}`;
+    if (!log.deleted) return `⚠️ ${label} 沒有被撤銷`;
+    return restoreLog(ownerId, log);
+  }
+
+  // 從堆疊頂端往下找仍是撤銷狀態的紀錄（整批撤銷的一起取回）
+  const stack = await store.getValue(ownerKey("undoStack", ownerId), []);
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const logs = [];
+    for (const id of [].concat(stack[i])) {
+      const log = await getLog(ownerId, id);
+      if (log?.deleted) logs.push(log);
+    }
+    if (logs.length === 1) return restoreLog(ownerId, logs[0]);
+    if (logs.length) return restoreBatch(ownerId, logs);
+  }
+  await store.setValue(ownerKey("undoStack", ownerId), []);
+  return "⚠️ 沒有可復原的紀錄";
+}
+
+/**
+ * 解析紀錄時間（補記與編輯共用，見 lib/datetime.js）：
+ *  - 時間範圍（14:00-17:30、下午兩點到五點）另記 startISO / endISO / durationMin
+ *  - 完全沒有日期時間 → timeISO 為 null，timeDisplay 保留原文
+ *  - 日期時間依 owner 的時區解讀（timeZone 一併存進紀錄）
+ * 回傳：{ content（去掉日期時間後的內容）, fields }
+ */
+function parseLogTime(text, timeZone) {
+  const t = parseDateTime(text, { prefer: "past", timeZone });
+  if (!t) return { content: text, fields: { timeISO: null, timeDisplay: text.trim(), timeZone } };
+
+  const fields = {
+    timeISO: t.at.toISOString(),
+    timeDisplay: t.display,
+    timeZone,
+    timeConfidence: t.confidence, // high / medium / low（約略）
+  };
+  if (t.isRange && t.precision === "minute") {
+    fields.startISO = t.start.toISOString();
+    fields.endISO = t.end.toISOString();
+    fields.durationMin = diffMinutes(fields.startISO, fields.endISO);
+  }
+  return { content: t.rest || text, fields };
+}
+
+async function runBacklog({ ownerId, args }) {
+  const text = (args.content || "").trim();
+  if (!text) return "⚠️ 補記格式：補記 昨天 14:00 佈展（也可以寫 14:00-17:30）";
+
+  const entries = await planEntries(ownerId, text, { backlog: true });
+  if (entries) return recordBacklogBatch(ownerId, entries);
+
+  const timeZone = await getTimeZone(ownerId);
+  const { content, fields } = parseLogTime(text, timeZone);
+  // 時間還沒到 → 其實是計畫，改記成待辦
+  if (fields.timeISO && new Date(fields.timeISO) > new Date()) {
+    const todo = await addTodo(ownerId, text, { timeZone });
+    if (todo) return `📋 ${todo.dueDisplay} 還沒到，先記成待辦 ${formatTodoId(todo)}：${todo.content}\n做完輸入「完成 ${formatTodoId(todo)}」`;
+  }
+  const { messages } = await recordLog(ownerId, content, { type: "backlog", ...fields });
+  return messages;
+}
+
+// 補記多筆：時間還沒到的改記成待辦，其餘整批記下
+async function recordBacklogBatch(ownerId, entries) {
+  if (entries.length > MAX_ENTRIES) return tooManyEntriesText(entries);
+  const timeZone = await getTimeZone(ownerId);
+  const todos = [];
+  for (const { todoText } of entries.filter((entry) => entry.todoText)) {
+    const todo = await addTodo(ownerId, todoText, { timeZone });
+    if (todo) todos.push(todo);
+  }
+  const note = todos.length
+    ? `📋 ${todos.length} 筆時間還沒到，先記成待辦：\n${todos.map(todoLine).join("\n")}\n做完輸入「完成 T編號」`
+    : "";
+
+  const logs = entries.filter((entry) => !entry.todoText);
+  if (!logs.length) return note || "⚠️ 補記格式：補記 昨天 14:00 佈展（也可以寫 14:00-17:30）";
+  const messages = await recordBatch(ownerId, logs);
+  return note ? [...messages, { type: "text", text: note }] : messages;
+}
+
+// ---------------- 待辦（見 lib/todos.js） ----------------
+function todoListReply(todos) {
+  if (!todos.length) return "📋 沒有未完成的待辦";
+  return [
+    {
+      type: "text",
+      text: `📋 未完成的待辦 ${todos.length} 項\n${todos.map(todoLine).join("\n")}\n\n做完輸入「完成 T編號」`,
+      quickReply: quickReply(
+        todos.map((todo) => ({ label: `完成 ${formatTodoId(todo)}`, text: `完成 ${formatTodoId(todo)}` }))
+      ),
+    },
+  ];
+}
+
+// 待辦 明天 10:00 佈展 → 新增；只打「待辦」→ 列出未完成的
+async function runTodo({ ownerId, args }) {
+  const timeZone = await getTimeZone(ownerId);
+  const text = (args.content || "").trim();
+  if (!text) return todoListReply(await listOpenTodos(ownerId, timeZone));
+
+  const todo = await addTodo(ownerId, text, { timeZone });
+  if (!todo) return "⚠️ 待辦格式：待辦 明天 10:00 佈展";
+  return `📋 已加入待辦 ${formatTodoId(todo)}：${todo.dueDisplay}｜${todo.content}\n做完輸入「完成 ${formatTodoId(todo)}」`;
+}
+
+// 完成 T3 → 勾掉待辦，並以現在時間記成一筆即時紀錄
+async function runTodoDone({ ownerId, args }) {
+  const todo = await getTodo(ownerId, Number(args.ref));
+  if (!todo || todo.status === "cancelled") return `⚠️ 沒有找到待辦 T${args.ref}`;
+  if (todo.status === "done") return `✅ 待辦 ${formatTodoId(todo)} 已經完成了（紀錄 #${todo.logId}）`;
+
+  const { log, messages } = await recordLog(
+    ownerId,
+    todo.content,
+    { type: "instant", ...(await nowTimeFields(ownerId)), todoId: todo.id },
+    `✅ 完成 ${formatTodoId(todo)}`
+  );
+  await updateTodo(todo, { status: "done", doneAt: log.timeISO, logId: log.id });
+  return messages;
+}
+
+async function runTodoCancel({ ownerId, args }) {
+  const todo = await getTodo(ownerId, Number(args.ref));
+  if (!todo || todo.status !== "open") return `⚠️ 沒有未完成的待辦 T${args.ref}`;
+  await updateTodo(todo, { status: "cancelled" });
+  return `🗑️ 已取消待辦 ${formatTodoId(todo)}：${todo.content}`;
+}
+
+// ---------------- 一則訊息多筆紀錄（拆法見 lib/entries.js） ----------------
+/**
+ * 多筆訊息 → [{ content, fields }]；不是多筆回傳 null
+ *  - 第一行只有日期（補記 昨天\n9:00 起床\n…）→ 當作沒寫日期的各筆的日期
+ *  - 補記：每筆都是補記；一般訊息：有寫時間的記為補記、沒寫的記為現在
+ *  - 一般訊息每一筆都要有時間（只有「今天」這類日期不算）或像紀錄（isLogCandidate），否則整則照單筆處理，避免把多行聊天拆開
+ *  - 任何一行是問句 / 非記錄語氣，整則也照單筆處理；時間還沒到的：一般訊息整則照單筆處理，
+ *    補記則標上 todoText，改記成待辦
+ */
+async function planEntries(ownerId, text, { backlog }) {
+  let items = splitEntries(text);
+  if (!items) return null;
+
+  const timeZone = await getTimeZone(ownerId);
+  const head = parseDateTime(items[0], { prefer: "past", timeZone });
+  const dateHeader = head?.hasDate && !head.hasTime && !head.rest ? items[0] : "";
+  if (dateHeader) items = items.slice(1);
+  if (items.length < 2) return null;
+
+  const now = await nowTimeFields(ownerId);
+  const entries = [];
+  for (const item of items) {
+    const own = parseDateTime(item, { prefer: "past", timeZone });
+    const dated = dateHeader && !own?.hasDate ? `${dateHeader} ${item}` : item;
+    if (isChatLike(item)) return null;
+    const { content, fields } = parseLogTime(dated, timeZone);
+    if (fields.timeISO && new Date(fields.timeISO) > new Date()) {
+      // 補記裡時間還沒到的一筆 → 改記成待辦（見 recordBacklogBatch）；一般訊息整則照單筆處理
+      if (!backlog) return null;
+      entries.push({ content, fields, todoText: dated });
+      continue;
     }
-    // 僅在同時包含「辦公室」+ 維運動作時，才判定為維運
-    if (text.includes("辦公室") && officeActions.some((kw) => text.includes(kw))) {
-      return { main: ["E. 辦公室維運"], tags: ["🧹 環境整理"] };
+    // 一般訊息只有日期詞沒有時間（今天好累）不算寫了時間，要像紀錄才記
+    if (backlog || (fields.timeISO && (own?.hasTime || isLogCandidate(item)))) {
+      entries.push({ content, fields: { type: "backlog", ...fields } });
+    } else if (isLogCandidate(item)) {
+      entries.push({ content: item, fields: { type: "instant", ...now } });
+    } else {
+      return null;
     }
-    // 單純包含「辦公室」但沒有維運動作 → 不自動分類，交給 GPT fallback
-    if (text.includes("洗衣店")) {
-      return { main: ["E. 辦公室維運"], tags: ["🧹 環境整理"] };
+  }
+  return entries;
+}
+
+// 超過上限整則不記（只記前面幾筆很容易沒發現少了哪些）
+function tooManyEntriesText(entries) {
+  return `⚠️ 一次最多記 ${MAX_ENTRIES} 筆，這則有 ${entries.length} 筆，這次都沒有記錄；請分成幾則傳送`;
+}
+
+/**
+ * 多筆一起記：各筆同時分類 / 摘要，依序存檔（共用 batchId），回覆一張合併的確認卡片
+ * 小語只顯示最後一筆的；超過 MAX_ENTRIES 筆整則不記
+ */
+async function recordBatch(ownerId, entries) {
+  if (entries.length > MAX_ENTRIES) return tooManyEntriesText(entries);
+  const enrichments = await Promise.all(
+    entries.map(({ content, fields }) =>
+      enrichLog(ownerId, content, { isBacklog: fields.type === "backlog" })
+    )
+  );
+
+  const batchId = randomUUID().slice(0, 8);
+  const logs = [];
+  for (const [i, { content, fields }] of entries.entries()) {
+    logs.push(await saveLog(ownerId, content, { ...fields, batchId }, enrichments[i]));
+  }
+  await store.setValue(ownerKey("lastBatchId", ownerId), batchId);
+
+  const heading = logs.every((log) => log.type === "backlog") ? "📝 補記" : "🕰️ 已記錄";
+  const shortPhrase = enrichments[enrichments.length - 1].shortPhrase;
+  const unsure = logs.filter(needsConfirm);
+  const text = `${heading} ${logs.length} 筆\n` +
+               logs
+                 .map((log, i) =>
+                   `${i + 1}. ${logLine(log)}｜${log.main.join(" + ")}｜${log.tags.join(" + ") || "無"}` +
+                   (log.durationMin != null ? `｜⏱️ ${formatDuration(log.durationMin)}` : "") +
+                   (log.amount != null ? `｜💰 ${describeMoney(log)}` : "") +
+                   (needsConfirm(log) ? " 🤔" : "")
+                 )
+                 .join("\n") +
+               (unsure.length ? "\n🤔 分類信心較低，不對的話輸入「修正 #編號」" : "") +
+               "\n輸入「撤銷整批」可一次撤銷這幾筆" +
+               `\n\n${shortPhrase}`;
+  return buildBatchMessage(logs, {
+    heading,
+    shortPhrase,
+    fallbackText: text,
+    batchId,
+    unsureIds: unsure.map((log) => log.id),
+  });
+}
+
+// 撤銷整批（撤銷整批 → 最近一批；撤銷整批 #12 → #12 所在的那一批）
+async function runUndoBatch({ ownerId, args }) {
+  if (!args.ref) return undoBatch(ownerId, await store.getValue(ownerKey("lastBatchId", ownerId)));
+  const log = await getLog(ownerId, Number(args.ref));
+  if (!log) return `⚠️ 沒有找到紀錄 #${args.ref}`;
+  if (!log.batchId) return `⚠️ #${args.ref} 不是整批記下的紀錄，請用「撤銷 #${args.ref}」`;
+  return undoBatch(ownerId, log.batchId);
+}
+
+async function runSessionStart({ ownerId, args }) {
+  // 還有計時中的項目 → 先結束
+  const openSession = await findOpenSession(ownerId);
+  const closedNote = openSession
+    ? sessionClosedText(await closeSession(ownerId, openSession))
+    : "";
+
+  const time = await nowTimeFields(ownerId);
+  const { log, messages } = await recordLog(
+    ownerId,
+    args.activity.trim(),
+    {
+      type: "instant",
+      ...time,
+      startISO: time.timeISO,
+      endISO: null,
+      durationMin: null,
+    },
+    "▶️ 開始計時"
+  );
+  await store.setValue(ownerKey("openSessionId", ownerId), log.id);
+
+  return closedNote ? [{ type: "text", text: closedNote }, ...messages] : messages;
+}
+
+async function runSessionEnd({ ownerId }) {
+  const openSession = await findOpenSession(ownerId);
+  if (!openSession) return "⚠️ 目前沒有計時中的項目";
+  return sessionClosedText(await closeSession(ownerId, openSession));
+}
+
+// ---------------- 編輯紀錄 ----------------
+const EDIT_KEYS = ["摘要", "時間", "類型", "主模組", "輔助", "金額"];
+const TYPE_NAMES = { instant: "即時", backlog: "補記" };
+
+/**
+ * 「摘要=… 時間=昨天 15:00 類型=補記 主模組=… 輔助=A + B」→ { 欄位: 值 }
+ * 值可含空白（如「A. 藝廊工作」），取到下一個「欄位=」或行尾為止
+ */
+function parseEditFields(text) {
+  const keys = EDIT_KEYS.join("|");
+  const re = new RegExp(`(${keys})\\s*[=＝]\\s*(.+?)(?=\\s+(?:${keys})\\s*[=＝]|$)`, "gs");
+  const fields = {};
+  for (const [, key, value] of text.matchAll(re)) fields[key] = value.trim();
+  return fields;
+}
+
+function resolveType(value) {
+  if (/補記|backlog/i.test(value)) return "backlog";
+  if (/即時|instant/i.test(value)) return "instant";
+  return null;
+}
+
+/** 編輯欄位 → 要寫入的 patch；格式錯誤回傳 { error } */
+function buildEditPatch(targetLog, fields, taxonomy, timeZone) {
+  const patch = {};
+  if (fields["摘要"]) patch.summary = fields["摘要"];
+  if (fields["類型"]) {
+    const type = resolveType(fields["類型"]);
+    if (!type) return { error: "⚠️ 類型只能是「即時」或「補記」" };
+    patch.type = type;
+  }
+  if (fields["時間"]) {
+    const { fields: time } = parseLogTime(fields["時間"], timeZone);
+    if (!time.timeISO) return { error: "⚠️ 看不懂時間，例如：時間=昨天 15:00、時間=14:00-17:30" };
+    Object.assign(patch, time);
+    if (time.durationMin == null && targetLog.durationMin != null) {
+      // 沒給新範圍、原本有時長 → 以新時間為起點保留時長
+      patch.startISO = time.timeISO;
+      patch.endISO = new Date(
+        new Date(time.timeISO).getTime() + targetLog.durationMin * 60000
+      ).toISOString();
+    } else if (time.durationMin == null && targetLog.startISO && !targetLog.endISO) {
+      patch.startISO = time.timeISO; // 計時中 → 結束時從新的起點算
     }
-    // 其他交給 GPT fallback
-    const r = await openai.chat.completions.create({
-      model: "gpt-4o",
-      temperature: 0,
-      messages: [
-        {
-          role: "system",
-          content: `你是日誌分類助理。
-請把輸入訊息分成：
-1. 主模組（五選一：A. 藝廊工作, B. Podcast, C. 商業漫畫, D. 同人與委託, E. 辦公室維運, F. 生活日常）
-2. 輔助分類（可多選：創作／交通／行政／財務／SNS／飲食／興趣／健康／社交／休息／其他）
-注意：只有同時包含「辦公室」+ 行為詞（打掃/整理/維護/修繕/補貨/檢查），或包含「洗衣店」時，才歸為 E. 辦公室維運。
-只回 JSON，例如：
-{"main":["C. 商業漫畫"], "tags":["📢 SNS／宣傳","🧾 行政"]}`,
-        },
-        { role: "user", content: text },
-      ],
-    });
+  }
+  // 主模組 / 輔助可只打代號或省略 emoji（B、財務），對不到就照原文
+  if (fields["主模組"]) {
+    patch.main = [findMainModule(taxonomy, fields["主模組"]) || fields["主模組"]];
+  }
+  if (fields["輔助"]) {
+    patch.tags = fields["輔助"].split(/\s*\+\s*/).map((t) => findTag(taxonomy, t) || t);
+  }
+  if (patch.main || patch.tags) patch.confirmed = true;
+  // 金額=350、金額=收入 2400、金額=USD 20；金額=無 清除
+  if (fields["金額"]) {
+    if (/^(?:無|清除|刪除)$/.test(fields["金額"])) {
+      Object.assign(patch, { amount: null, currency: null, direction: null });
+    } else {
+      const money = parseMoneyInput(fields["金額"], targetLog.direction || "expense");
+      if (!money) return { error: "⚠️ 看不懂金額，例如：金額=350、金額=收入 2400、金額=USD 20、金額=無" };
+      Object.assign(patch, money);
+    }
+  }
+  return { patch };
+}
 
-    return JSON.parse(r.choices[0].message.content.trim());
-  } catch (e) {
-    console.error("[GPT 分類錯誤]", e);
-    return { main: ["F. 生活日常"], tags: ["📝 其他"] };
+/** 修改前後差異，一個欄位一行 */
+function editDiffLines(before, after) {
+  const show = {
+    summary: ["📌 摘要", (l) => l.summary || "(無摘要)"],
+    timeDisplay: ["🕰️ 時間", (l) => l.timeDisplay || ""],
+    type: ["🗂️ 類型", (l) => TYPE_NAMES[l.type] || l.type],
+    main: ["📂 主模組", (l) => (l.main || []).join(" + ") || "無"],
+    tags: ["🏷️ 輔助", (l) => (l.tags || []).join(" + ") || "無"],
+    durationMin: ["⏱️ 時長", (l) => (l.durationMin != null ? formatDuration(l.durationMin) : "無")],
+    amount: ["💰 收支", (l) => describeMoney(l) || "無"],
+  };
+  return Object.entries(show)
+    .filter(([, [, fmt]]) => fmt(before) !== fmt(after))
+    .map(([, [label, fmt]]) => `${label}：${fmt(before)} → ${fmt(after)}`);
+}
+
+// 編輯 / 修正（編輯 [#編號] 欄位=值 …；沒指定編號就是最後一筆）
+async function runEdit({ ownerId, args }) {
+  const ref = args.ref ? `#${args.ref}` : "";
+  const targetLog = ref
+    ? await getLog(ownerId, Number(args.ref))
+    : await findLastActiveLog(ownerId);
+  if (!targetLog || targetLog.deleted) {
+    return ref ? `⚠️ 沒有找到紀錄 ${ref}` : "⚠️ 沒有可修正的紀錄";
+  }
+
+  const taxonomy = await getTaxonomy(ownerId);
+  const fields = parseEditFields(args.fields || "");
+  if (!Object.keys(fields).length) {
+    // 沒有欄位 → 提供主模組快速回覆
+    return [
+      {
+        type: "text",
+        text: `要把 ${formatLogId(targetLog)}「${targetLog.summary || "(無摘要)"}」改成哪個主模組？\n` +
+              `也可以輸入：編輯 ${formatLogId(targetLog)} 摘要=… 時間=… 類型=補記 主模組=… 輔助=A + B 金額=350`,
+        quickReply: fixCategoryQuickReply(taxonomy.mainModules, targetLog.id),
+      },
+    ];
   }
+
+  const { patch, error } = buildEditPatch(targetLog, fields, taxonomy, await getTimeZone(ownerId));
+  if (error) return error;
+  const updated = await updateLog(ownerId, targetLog, patch);
+
+  const diff = editDiffLines(targetLog, updated);
+  return `📝 已修正紀錄 ${formatLogId(updated)}\n${diff.length ? diff.join("\n") : "（沒有變更）"}`;
 }
 
-// ---------------- 摘要 + 小語 ----------------
-async function summarizeEvent(text) {
-  try {
-    const r = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      temperature: 0.3,
-      messages: [
-        { role: "system", content: "將輸入壓縮成不超過15字的事件描述，去掉贅字語氣詞，語氣自然，不要加句號。" },
-        { role: "user", content: text },
+// 總結（今日 / 本週 / 本月 / 指定單日）
+async function runSummary({ ownerId, text }) {
+  const timeZone = await getTimeZone(ownerId);
+  await rollOverTodos(ownerId, timeZone); // 過期沒做的待辦算在今天
+  const { start, end, title } = resolveSummaryRange(text, timeZone);
+  const result = await getSummary(ownerId, start, end, { crossCheck: text.includes("核對") });
+
+  // 記下清單順序，供「撤銷 3」用序號指定
+  await store.setValue(
+    ownerKey("lastSummaryIds", ownerId),
+    (result.rows || []).map((row) => row.id ?? null)
+  );
+  const { text: summaryText, messages } = buildSummaryReply(title, result);
+  return messages || summaryText;
+}
+
+// 帳目（期間內有金額的紀錄）
+async function runLedger({ ownerId, text }) {
+  const { start, end, title } = resolveSummaryRange(text, await getTimeZone(ownerId), {
+    label: "帳目",
+    fallback: "month",
+  });
+  const { rows } = await fetchLocalSummary(ownerId, start, end);
+  return buildLedgerReply(title, rows);
+}
+
+// 回顧（敘述 + 數據，見 lib/review.js）
+async function runReview({ ownerId, text }) {
+  const timeZone = await getTimeZone(ownerId);
+  const range = resolveSummaryRange(text, timeZone, { label: "回顧", fallback: "week" });
+  return buildReview(ownerId, range, { persona: persona(), timeZone });
+}
+
+// 推播設定
+async function runPushSetting(ownerId, patch) {
+  const owner = patch ? await updateOwner(ownerId, patch) : await ensureOwner(ownerId);
+  return `⚙️ 推播設定\n${describePushSettings(owner)}`;
+}
+
+// 時區：之後的紀錄時間、總結範圍與排程推播都改用新時區（既有紀錄不變）
+async function runTimeZone({ ownerId, args }) {
+  if (!args.zone) {
+    const timeZone = await getTimeZone(ownerId);
+    return `🌐 目前時區：${timeZone}（現在 ${zonedDisplay(new Date(), timeZone)}）\n` +
+           "輸入「時區 Asia/Tokyo」或「時區 東京」更改，「時區 預設」恢復預設";
+  }
+  const reset = /^(?:預設|重設)$/.test(args.zone);
+  const timeZone = reset ? null : resolveTimeZone(args.zone);
+  if (!reset && !timeZone) {
+    return `⚠️ 不認得時區「${args.zone}」，請用 IANA 名稱（例如 Asia/Tokyo、America/New_York）`;
+  }
+  const owner = await updateOwner(ownerId, { timeZone });
+  const current = ownerTimeZone(owner);
+  return `🌐 時區已設為 ${current}（現在 ${zonedDisplay(new Date(), current)}）`;
+}
+
+async function runQuietHours({ ownerId, args }) {
+  if (args.off) return runPushSetting(ownerId, { quietStart: null, quietEnd: null });
+  const start = Number(args.start);
+  const end = Number(args.end);
+  if (!args.start || start > 23 || end > 23) {
+    return "⚠️ 勿擾格式：勿擾 23-8（整點，依你的時區）或 勿擾 關閉";
+  }
+  return runPushSetting(ownerId, { quietStart: start, quietEnd: end });
+}
+
+// 分類設定：取出 owner 的設定 → 修改 → 存回
+async function runTaxonomyChange(ownerId, change) {
+  const { taxonomy, message, error } = change(await getTaxonomy(ownerId));
+  if (error) return error;
+  await saveTaxonomy(ownerId, taxonomy);
+  return message;
+}
+
+function splitWords(text) {
+  return (text || "").split(/[\s,，、]+/).filter(Boolean);
+}
+
+async function runKeywordAdd({ ownerId, args }) {
+  const words = splitWords(args.words);
+  if (!words.length) return "⚠️ 格式：新增關鍵字 A 策展 講座（第一個是主模組代號或名稱）";
+  return runTaxonomyChange(ownerId, (t) => addKeywords(t, args.module, words));
+}
+
+async function runKeywordRemove({ ownerId, args }) {
+  const words = splitWords(args.words);
+  if (!words.length) return "⚠️ 格式：刪除關鍵字 策展 講座";
+  return runTaxonomyChange(ownerId, (t) => removeKeywords(t, words));
+}
+
+async function runCategoryAdd({ ownerId, args }) {
+  const name = args.name.trim();
+  return runTaxonomyChange(ownerId, (t) =>
+    args.kind === "主模組" ? addMainModule(t, name) : addTag(t, name)
+  );
+}
+
+async function runCategoryRemove({ ownerId, args }) {
+  const name = args.name.trim();
+  return runTaxonomyChange(ownerId, (t) =>
+    args.kind === "主模組" ? removeMainModule(t, name) : removeTag(t, name)
+  );
+}
+
+// Sheet 同步重試
+async function runSyncRetry({ ownerId }) {
+  const timeZone = await getTimeZone(ownerId);
+  if (!isSheetEnabled()) return describeOutbox(ownerId, timeZone);
+  const count = await retryFailed(ownerId);
+  if (!count) return "🗂️ 沒有已放棄的異動";
+  return `🔁 已重新送出 ${count} 筆\n\n${await describeOutbox(ownerId, timeZone)}`;
+}
+
+const router = createRouter(
+  [
+    {
+      name: "undoBatch",
+      usage: "撤銷整批 [#編號]",
+      description: "撤銷上一則訊息一次記下的多筆紀錄；「撤銷整批 #12」撤銷 #12 所在的那一批",
+      patterns: [/^撤銷\s*整批\s*(?:#?(?<ref>\d+))?$/],
+      run: runUndoBatch,
+    },
+    {
+      name: "undo",
+      usage: "撤銷 [#編號｜序號｜時間]",
+      description: "撤銷最後一筆；「撤銷 #12」指定編號，「撤銷 3」指定上次總結的第 3 筆，可連續撤銷",
+      patterns: [/^撤銷\s*(?<ref>.*)$/s, /^刪除上一則$/],
+      run: runUndo,
+    },
+    {
+      name: "redo",
+      usage: "復原 [#編號]",
+      description: "依序取回撤銷過的紀錄（可重複），或指定編號復原",
+      patterns: [/^復原\s*(?<ref>.*)$/s],
+      run: runRedo,
+    },
+    {
+      name: "backlog",
+      usage: "補記 <時間> <內容>",
+      description: "補記過去的事，例如：補記 昨天 14:00-17:30 佈展；換行或編號可一次補記多筆",
+      patterns: [/^補記[:：]?\s*(?<content>.*)$/s],
+      run: runBacklog,
+    },
+    {
+      name: "todo",
+      usage: "待辦 [日期時間] <事項>｜待辦",
+      description: "記下還沒做的事，例如：待辦 明天 10:00 佈展；只打「待辦」列出未完成的（過期沒做的會延到今天）",
+      patterns: [/^待辦[:：]?\s*(?<content>.*)$/s],
+      run: runTodo,
+    },
+    {
+      name: "todoDone",
+      usage: "完成 T編號",
+      description: "勾掉待辦並以現在時間記成一筆紀錄，例如：完成 T3",
+      patterns: [/^完成\s*[#Tt]?(?<ref>\d+)$/],
+      run: runTodoDone,
+    },
+    {
+      name: "todoCancel",
+      usage: "取消待辦 T編號",
+      description: "不做了，從待辦移除",
+      patterns: [/^取消待辦\s*[#Tt]?(?<ref>\d+)$/],
+      run: runTodoCancel,
+    },
+    {
+      name: "sessionStart",
+      usage: "開始 <活動>",
+      description: "開始計時，例如：開始畫分鏡",
+      patterns: [/^開始\s*(?<activity>\S.*)$/s],
+      run: runSessionStart,
+    },
+    {
+      name: "sessionEnd",
+      usage: "結束",
+      description: "結束計時中的項目（計時中說「畫完了」也可以）",
+      patterns: [/^結束[。！!～~]*$/], // 只認單獨的「結束」，「結束了今天的會議」照一般紀錄處理
+      run: runSessionEnd,
+    },
+    {
+      name: "edit",
+      usage: "編輯 [#編號] 欄位=值…",
+      description: "修改任一筆紀錄的摘要 / 時間 / 類型 / 主模組 / 輔助 / 金額，例如：編輯 #12 時間=昨天 15:00 主模組=B",
+      patterns: [/^(?:編輯|修正)\s*(?:#(?<ref>\d+))?\s*(?<fields>.*)$/s],
+      run: runEdit,
+    },
+    {
+      name: "summary",
+      usage: "總結 [週｜月｜mm/dd｜mm/dd-mm/dd] [核對]",
+      description: "今日 / 本週 / 本月 / 指定單日或日期範圍的紀錄總結，含主模組與輔助分類統計；加「核對」會與 Sheet 比對",
+      patterns: [/^(?:今日|今天|昨天|本週|這週|上週|本月|這個月|上個月)?總結/],
+      run: runSummary,
+    },
+    {
+      name: "ledger",
+      usage: "帳目 [週｜月｜上個月｜mm/dd-mm/dd]",
+      description: "期間內的支出 / 收入明細，依主模組與幣別加總；沒寫範圍為本月",
+      patterns: [/^(?:今日|今天|昨天|本週|這週|上週|本月|這個月|上個月)?帳目/],
+      run: runLedger,
+    },
+    {
+      name: "review",
+      usage: "回顧 [週｜月｜上週｜上個月]",
+      description: "把一段期間的紀錄寫成短篇回顧：時間花在哪、比前一期少碰了什麼、一天中的時段模式，附核對用的數據；沒寫範圍為本週",
+      patterns: [/^(?:本週|這週|上週|本月|這個月|上個月)?回顧/],
+      run: runReview,
+    },
+    {
+      name: "pushOff",
+      usage: "停止推播",
+      description: "不再收到每日總結、週回顧與閒置提醒",
+      patterns: [/^停止推播$/],
+      run: ({ ownerId }) => runPushSetting(ownerId, { optOut: true }),
+    },
+    {
+      name: "pushOn",
+      usage: "開啟推播",
+      description: "恢復排程推播",
+      patterns: [/^開啟推播$/],
+      run: ({ ownerId }) => runPushSetting(ownerId, { optOut: false }),
+    },
+    {
+      name: "quietHours",
+      usage: "勿擾 <起>-<迄>｜勿擾 關閉",
+      description: "設定不推播的時段（整點，依你的時區），例如：勿擾 23-8",
+      patterns: [
+        /^勿擾\s*(?<off>關閉|取消)$/,
+        /^勿擾\s*(?<start>\d{1,2})\s*[-~～到]\s*(?<end>\d{1,2})$/,
+        /^勿擾/,
       ],
+      run: runQuietHours,
+    },
+    {
+      name: "pushSettings",
+      usage: "推播設定",
+      description: "查看目前的推播設定",
+      patterns: [/^推播設定$/],
+      run: ({ ownerId }) => runPushSetting(ownerId, null),
+    },
+    {
+      name: "timeZone",
+      usage: "時區｜時區 <名稱>｜時區 預設",
+      description: "查看或設定時區（紀錄時間、總結範圍、推播時間都依此計算），例如：時區 Asia/Tokyo",
+      patterns: [/^時區\s*(?<zone>\S*)$/],
+      run: runTimeZone,
+    },
+    {
+      name: "taxonomy",
+      usage: "分類設定",
+      description: "查看主模組、輔助分類與關鍵字規則",
+      patterns: [/^分類設定$/],
+      run: async ({ ownerId }) => describeTaxonomy(await getTaxonomy(ownerId)),
+    },
+    {
+      name: "keywordAdd",
+      usage: "新增關鍵字 <主模組> <詞…>",
+      description: "含這些詞的紀錄直接歸到該主模組，例如：新增關鍵字 A 策展 講座",
+      patterns: [/^新增關鍵字\s*(?<module>\S+)?\s*(?<words>.*)$/s],
+      run: runKeywordAdd,
+    },
+    {
+      name: "keywordRemove",
+      usage: "刪除關鍵字 <詞…>",
+      description: "從所有關鍵字規則移除這些詞",
+      patterns: [/^刪除關鍵字\s*(?<words>.*)$/s],
+      run: runKeywordRemove,
+    },
+    {
+      name: "categoryAdd",
+      usage: "新增主模組 / 新增輔助 <名稱>",
+      description: "例如：新增主模組 G. 教學、新增輔助 🎵 音樂",
+      patterns: [/^新增(?<kind>主模組|輔助)(?:分類)?\s*(?<name>\S.*)$/s],
+      run: runCategoryAdd,
+    },
+    {
+      name: "categoryRemove",
+      usage: "刪除主模組 / 刪除輔助 <名稱>",
+      description: "主模組可只打代號（刪除主模組 G）；相關關鍵字規則一併移除",
+      patterns: [/^刪除(?<kind>主模組|輔助)(?:分類)?\s*(?<name>\S.*)$/s],
+      run: runCategoryRemove,
+    },
+    {
+      name: "taxonomyReset",
+      usage: "重設分類",
+      description: "回到預設的主模組、輔助分類與關鍵字規則",
+      patterns: [/^重設分類$/],
+      run: async ({ ownerId }) => `↩️ 已回到預設分類\n\n${describeTaxonomy(await resetTaxonomy(ownerId))}`,
+    },
+    {
+      name: "syncStatus",
+      usage: "同步狀態",
+      description: "查看還沒同步到 Google Sheet 的異動（待重試 / 已放棄）",
+      patterns: [/^同步狀態$/],
+      run: async ({ ownerId }) => describeOutbox(ownerId, await getTimeZone(ownerId)),
+    },
+    {
+      name: "syncRetry",
+      usage: "同步重試",
+      description: "把已放棄的 Sheet 異動重新送出",
+      patterns: [/^同步重試$/],
+      run: runSyncRetry,
+    },
+  ],
+  {
+    helpFooter:
+      "其他訊息：像「我到藝廊了」會自動記錄，問句或閒聊則當作一般對話；也可以直接傳語音或照片。",
+  }
+);
+
+// ---------------- 文字訊息 ----------------
+// 指令優先；其餘依序：照片說明 → 「…完了」結束計時 → 即時紀錄 → 一般對話
+async function handleTextMessage(ownerId, userText, senderId) {
+  const matched = router.match(userText);
+  if (matched) {
+    return matched.command.run({ ownerId, text: userText, args: matched.args });
+  }
+
+  // 剛傳過照片 → 當作照片說明（問句、多筆紀錄照常處理，照片仍可等說明）
+  if (!isChatLike(userText) && !splitEntries(userText)) {
+    const captionTarget = await findCaptionTarget(ownerId, senderId);
+    if (captionTarget) return attachCaption(ownerId, captionTarget, userText);
+  }
+
+  const openSession = userText.includes("完了") && (await findOpenSession(ownerId));
+  if (openSession && isSessionEnd(userText, openSession)) {
+    return sessionClosedText(await closeSession(ownerId, openSession));
+  }
+
+  // 多行 / 編號列舉 → 拆成多筆
+  const entries = await planEntries(ownerId, userText, { backlog: false });
+  if (entries) return recordBatch(ownerId, entries);
+
+  if (isLogCandidate(userText)) {
+    const { messages } = await recordLog(ownerId, userText, {
+      type: "instant",
+      ...(await nowTimeFields(ownerId)),
     });
-    let s = r.choices[0].message.content.trim();
-    s = s.replace(/[。！？、,.]$/, ""); // 去尾標點
-    return s;
-  } catch (e) {
-    console.error("[GPT 摘要錯誤]", e);
-    return text;
+    return messages;
   }
+
+  return chatReply(ownerId, userText);
 }
 
-/** 小語（SYSTEM_MESSAGE + 規則混合版；支援補記語氣） */
-async function generateShortPhrase(text, isBacklog = false) {
+// 一般對話（延續模式）：對話摘要 + 最近幾輪原文 + 與問題相關的紀錄（見 lib/memory.js）
+async function chatReply(ownerId, userText) {
   try {
-    const r = await openai.chat.completions.create({
-      model: "gpt-4o",
-      max_tokens: 120,
-      temperature: 0.7,
-      messages: [
-        {
-          role: "system",
-          content:
-            (SYSTEM_MESSAGE || "你是 Jean 的 LINE 助理，以和使用者對話的語氣用繁體中文自然回應。") +
-            `
-任務指令：
-請根據輸入內容生成一句不超過 50 字的短語。
+    const timeZone = await getTimeZone(ownerId);
+    const conversation = await loadConversation(ownerId);
+    const logs = await findRelevantLogs(ownerId, userText, { timeZone });
+
+    const system = [
+      persona(),
+      `現在時間：${zonedDisplay(nowUtcISO(), timeZone)}（${timeZone}）`,
+      ...(conversation.summary ? [`先前對話的摘要：\n${conversation.summary}`] : []),
+      logs.length
+        ? `使用者的生活紀錄（與這次訊息相關的部分，依時間排序）：\n${logs.map(logPromptLine).join("\n")}\n` +
+          "回答跟紀錄有關的問題時只根據這些紀錄（可附上 #編號），紀錄裡沒有的就說沒有記錄到，不要猜。"
+        : "使用者還沒有任何生活紀錄。",
+    ].join("\n\n");
+
+    const r = await complete("chat", [
+      { role: "system", content: system },
+      ...conversation.turns,
+      { role: "user", content: userText },
+    ]);
+
+    // 移除 ** 粗體符號，並確保不超過 LINE 限制
+    const replyText = r.text.replace(/\*\*/g, "").slice(0, 1900);
+    await saveTurns(ownerId, conversation, [
+      { role: "user", content: userText },
+      { role: "assistant", content: replyText },
+    ]);
+    return replyText;
+  } catch (e) {
+    console.error("[OpenAI 對話錯誤]", e);
+    return "我這邊忙線一下，等等再試。";
+  }
+}
 
-規則：
-- 即時紀錄 → 用現在進行式，像陪伴聊天。
-- 補記 → 用已完成/回顧語氣，避免「正在、準備」。
-- 語氣自然，像熟人，輕鬆幽默即可。
-- 可以有簡單鼓勵、心情回應、提醒或小知識。
-- 避免浮誇、網路流行語。
-- 句尾保持自然標點（句號、驚嘆號、問號均可）。
-- 偶爾可以使用表情符號，但不過度輕浮。
-- 短語長度可在 10–50 字之間變化。
-- 句型保持多樣化。
-- 可偶爾加入隱性情緒或效果描述（例如「空間清爽多了」「看來會很忙碌」）。`,
-        },
-        {
-          role: "user",
-          content: isBacklog ? `這是一則補記：${text}` : `這是一則即時紀錄：${text}`,
-        },
-      ],
-    });
-    return (r.choices?.[0]?.message?.content || "（狀態已記錄）").trim();
+// ---------------- 加入好友 / 封鎖 / 進出群組 ----------------
+const WELCOME_TEXT =
+  "直接傳「我到藝廊了」「剛吃完午餐」這類句子就會自動記錄，也可以傳語音或照片。\n" +
+  "「總結」看今天的紀錄，「補記 昨天 14:00 開會」補上漏記的事，「說明」列出所有指令。";
+
+// 第一次加好友或解除封鎖：恢復推播對象並打招呼
+async function handleFollow(ownerId) {
+  const returning = (await getOwner(ownerId))?.active === false;
+  await updateOwner(ownerId, { active: true, inactiveReason: null, inactiveSince: null });
+  return returning
+    ? `👋 歡迎回來！之前的紀錄都還在。\n\n${WELCOME_TEXT}`
+    : `👋 嗨，我是你的生活紀錄助理！\n\n${WELCOME_TEXT}`;
+}
+
+// 被邀進群組 / 聊天室：群組內的紀錄是大家共用的一份
+async function handleJoin(ownerId) {
+  await updateOwner(ownerId, { active: true, inactiveReason: null, inactiveSince: null });
+  return `👋 大家好！這裡的紀錄由群組成員共用一份。\n\n${WELCOME_TEXT}`;
+}
+
+// 被封鎖 / 退出群組：停止推播，清掉對話延續與暫存狀態（紀錄本身保留，回來後還在）
+async function handleDeparture(ownerId, reason) {
+  await updateOwner(ownerId, { active: false, inactiveReason: reason, inactiveSince: nowUtcISO() });
+  for (const name of ["chatHistory", "pendingCaption", "lastSummaryIds", "lastBatchId"]) {
+    await store.setValue(ownerKey(name, ownerId), null);
+  }
+}
+
+// ---------------- 回覆 ----------------
+// reply token 只在收到事件後短時間內有效；超過、或是重送的事件改用 Push
+const REPLY_TOKEN_TTL_MS = 50 * 1000;
+
+function canReply(event) {
+  if (!event.replyToken || event.deliveryContext?.isRedelivery) return false;
+  return !event.timestamp || Date.now() - event.timestamp < REPLY_TOKEN_TTL_MS;
+}
+
+async function deliver(event, ownerId, reply) {
+  if (canReply(event) && (await lineReply(event.replyToken, reply))) return;
+  // Reply 失敗（多半是 reply token 已失效）→ 改推播給同一個 owner
+  await linePush(ownerId, reply);
+}
+
+// 事件共用：run(ownerId) 回傳回覆內容，出錯時改回 fallback
+async function replyToEvent(event, run, fallback = "我這邊忙線一下，等等再試。") {
+  const ownerId = getOwnerId(event.source);
+  let reply;
+  try {
+    reply = await run(ownerId);
   } catch (e) {
-    console.error("[短語生成錯誤]", e);
-    return "（狀態已記錄）";
+    console.error(`[${event.type} 處理錯誤]`, e);
+    reply = fallback;
+  }
+  try {
+    await deliver(event, ownerId, reply);
+  } catch (e) {
+    console.error("[LINE REPLY 錯誤]", e);
   }
 }
 
-// ---------------- 總結範圍（依台灣時間） ----------------
-function getDateRange(type) {
-  const nowTW = taiwanNow();
-  let start = new Date(nowTW);
-  let end = new Date(nowTW);
+// ---------------- 單一事件 ----------------
+async function handleEvent(event) {
+  // LINE 重送、且先前已處理過的事件直接略過，避免重複記錄
+  if (!(await claimEvent(event))) {
+    console.warn("[重送略過]", event.webhookEventId);
+    return;
+  }
+
+  const ownerId = getOwnerId(event.source);
 
-  if (type === "today") {
-    start.setHours(0, 0, 0, 0);
-    end.setHours(23, 59, 59, 999);
-  } else if (type === "week") {
-    // 週一為一週開始
-    const day = start.getDay() || 7; // 1..7
-    start.setDate(start.getDate() - (day - 1));
-    start.setHours(0, 0, 0, 0);
-    end = new Date(start);
-    end.setDate(start.getDate() + 6);
-    end.setHours(23, 59, 59, 999);
-  } else if (type === "month") {
-    start.setDate(1);
-    start.setHours(0, 0, 0, 0);
-    end = new Date(start);
-    end.setMonth(start.getMonth() + 1);
-    end.setDate(0); // 上月最後一天＝本月末
-    end.setHours(23, 59, 59, 999);
+  if (event.type === "unfollow" || event.type === "leave") {
+    await handleDeparture(ownerId, event.type);
+    return;
+  }
+  if (event.type === "follow") {
+    await replyToEvent(event, handleFollow);
+    return;
+  }
+  if (event.type === "join") {
+    await replyToEvent(event, handleJoin);
+    return;
+  }
+
+  // 記下 owner，供排程推播（api/cron.js）使用
+  if (event.source) await ensureOwner(ownerId);
+
+  if (event.type === "postback") {
+    await replyToEvent(
+      event,
+      (ownerId) => handlePostback(ownerId, event.postback?.data),
+      "⚠️ 操作失敗，請稍後再試"
+    );
+    return;
+  }
+
+  if (event.type === "message" && event.message?.type === "audio") {
+    await replyToEvent(event, (ownerId) => handleAudioMessage(ownerId, event.message));
+    return;
   }
-  return { start, end };
+
+  if (event.type === "message" && event.message?.type === "image") {
+    await replyToEvent(event, (ownerId) => handleImageMessage(ownerId, event.message, event.source?.userId));
+    return;
+  }
+
+  if (event.type === "message" && event.message?.type === "text") {
+    const userText = event.message.text.trim();
+    await replyToEvent(event, (ownerId) => handleTextMessage(ownerId, userText, event.source?.userId));
+  }
+}
+
+// 不同 owner 的事件同時處理；同一 owner 依序處理（保持先後，例如先傳照片再傳說明）
+async function processEvents(events) {
+  const byOwner = new Map();
+  for (const event of events) {
+    const ownerId = getOwnerId(event.source);
+    byOwner.set(ownerId, [...(byOwner.get(ownerId) || []), event]);
+  }
+  await Promise.all(
+    [...byOwner.values()].map(async (queue) => {
+      for (const event of queue) {
+        try {
+          await handleEvent(event);
+        } catch (e) {
+          console.error(`[${event.type} 事件錯誤]`, e);
+        }
+      }
+    })
+  );
 }
 
 // =============================================================
@@ -348,370 +1717,11 @@ export default async function handler(req, res) {
 
     const body = JSON.parse(rawBody.toString("utf8"));
 
-    for (const event of body.events || []) {
-      if (event.type === "message" && event.message?.type === "text") {
-        const userText = event.message.text.trim();
-        let aiText = "我這邊忙線一下，等等再試。";
-
-
-// -------- 1) 撤銷（支援：撤銷 <時間戳 / 顯示時間>；否則撤銷最後一筆） --------
-if (isUndoRequest(userText)) {
-  const timeString = userText.replace(/^撤銷\s*/, "").trim(); // 取出「撤銷」後面的時間字串
-  let targetLog = null;
-
-  if (timeString) {
-    // 優先從 logs[] 找
-    targetLog = logs.find(
-      (log) =>
-        !log.deleted &&
-        (log.timeISO === timeString || log.timeDisplay === timeString)
-    );
-
-    // 找不到就直接傳給 Google Sheet，由 Sheet 端去比對刪除
-    if (!targetLog) {
-      try {
-        const resp = await fetch(process.env.SHEET_WEBHOOK_URL, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            action: "delete",
-            timeISO: timeString,     // 可能是 ISO
-            timeDisplay: timeString, // 也可能是 display
-          }),
-        });
-        const result = await resp.text();
-        aiText = `↩️ 嘗試撤銷紀錄（以時間「${timeString}」搜尋）\n🗂️ Sheet 回應：${result}`;
-      } catch (e) {
-        console.error("[Google Sheet 撤銷錯誤]", e);
-        aiText = "⚠️ 撤銷失敗，請檢查 Sheet Webhook";
-      }
-      return;
-    }
-  }
-
-  // 沒指定時間 → fallback 找最後一筆未刪除
-  if (!targetLog && logs.length > 0) {
-    targetLog = [...logs].reverse().find((log) => !log.deleted);
-  }
-
-  if (targetLog) {
-    targetLog.deleted = true;
-    lastUndone = targetLog; // 暫存，供「復原」用
-
-    // 同步刪除 Google Sheet
-    try {
-      const resp = await fetch(process.env.SHEET_WEBHOOK_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          action: "delete",
-          timeISO: targetLog.timeISO || "",
-          timeDisplay: targetLog.timeDisplay || "",
-        }),
-      });
-      const result = await resp.text();
-      aiText = `↩️ 已撤銷紀錄：${targetLog.timeDisplay || ""}｜${
-        targetLog.summary || "(無摘要)"
-      }\n🗂️ Sheet 回應：${result}`;
-    } catch (e) {
-      console.error("[Google Sheet 撤銷錯誤]", e);
-      aiText = "⚠️ 撤銷失敗，請檢查 Sheet Webhook";
-    }
-  } else {
-    aiText = `⚠️ 沒有找到時間為「${timeString}」的紀錄`;
-  }
-}
-          
-// 復原
-else if (userText.trim().startsWith("復原")) {
-  if (lastUndone) {
-    lastUndone.deleted = false; // 復原標記
-    try {
-      await fetch(process.env.SHEET_WEBHOOK_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          action: "restore",
-          timeISO: lastUndone.timeISO || "",
-          timeDisplay: lastUndone.timeDisplay || "",
-          summary: lastUndone.summary || "",
-          main: lastUndone.main || [],
-          tags: lastUndone.tags || [],
-          shortPhrase: lastUndone.shortPhrase || "",
-        }),
-      });
-    } catch (e) {
-      console.error("[Google Sheet 復原錯誤]", e);
-    }
-    aiText = `✅ 已復原紀錄：${lastUndone.timeDisplay || ""}｜${
-      lastUndone.summary || "(無摘要)"
-    }`;
-    lastUndone = null; // 清除暫存
-  } else {
-    aiText = "⚠️ 沒有可復原的紀錄";
-  }
-}
-
-        // -------- 復原處理 --------
-        else if (isRedoRequest(userText)) {
-          if (lastUndone) {
-            lastUndone.deleted = false;
-
-            // Google Sheet 同步復原
-            try {
-              const res = await fetch(process.env.SHEET_WEBHOOK_URL, {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({
-                  action: "restore",
-                  timeISO: lastUndone.timeISO || "",
-                  timeDisplay: lastUndone.timeDisplay || "",
-                  summary: lastUndone.summary || "",
-                  main: lastUndone.main || [],
-                  tags: lastUndone.tags || [],
-                }),
-              });
-              const result = await res.text();
-              aiText = `✅ 已復原紀錄：${lastUndone.timeDisplay || ""}｜${
-                lastUndone.summary || "(無摘要)"
-              }\n🗂️ Sheet 回應：${result}`;
-              lastUndone = null; // 清空暫存
-            } catch (e) {
-              console.error("[Google Sheet 復原錯誤]", e);
-              aiText = "⚠️ 復原失敗，請檢查 Sheet";
-            }
-          } else {
-            aiText = "⚠️ 沒有可復原的紀錄";
-          }
-        }
-          
-        // -------- 2) 補記 --------
-        else if (isBacklogMessage(userText)) {
-          const content = userText.replace(/^補記[:：]?\s*/, "");
-          const t = parseDateTimeDetailed(content); // { display, iso }
-
-          const category = await classifyStateLog(content);
-          const summary = await summarizeEvent(content);
-          const shortPhrase = await generateShortPhrase(content, true);
-
-          const logItem = {
-            type: "backlog",
-            timeISO: t.iso || null,  // 可能為 null（約/大約…）
-            timeDisplay: t.display,
-            summary,
-            main: category.main,
-            tags: category.tags,
-          };
-          logs.push(logItem);
-
-          // 同步新增
-          await syncToSheet({
-            action: "append",
-            ...logItem,
-          });
-
-          aiText = `📝 補記：${logItem.timeDisplay}\n` +
-                   `📌 狀態：${summary}\n` +
-                   `📂 主模組：${category.main.join(" + ") || "無"}\n` +
-                   `🏷️ 輔助：${category.tags.join(" + ") || "無"}\n\n` +
-                   `${shortPhrase}`;
-        }
-        
-        // -------- 3) 即時紀錄 --------
-        else if (isLogCandidate(userText)) {
-          const timeDisplay = nowTaipeiDisplay();
-          const timeISO = nowUtcISO();
-
-          const category = await classifyStateLog(userText);
-          const summary = await summarizeEvent(userText);
-          const shortPhrase = await generateShortPhrase(userText, false);
-
-          const logItem = {
-            type: "instant",
-            timeISO,
-            timeDisplay,
-            summary,
-            main: category.main,
-            tags: category.tags,
-          };
-          logs.push(logItem);
-
-          // 同步新增
-          await syncToSheet({
-            action: "append",
-            ...logItem,
-          });
-
-          aiText = `🕰️ 已記錄：${timeDisplay}\n` +
-                   `📌 狀態：${summary}\n` +
-                   `📂 主模組：${category.main.join(" + ") || "無"}\n` +
-                   `🏷️ 輔助：${category.tags.join(" + ") || "無"}\n\n` +
-                   `${shortPhrase}`;
-        }
-
-        // -------- 4)修正上一筆分類 --------
-        else if (isFixRequest(userText)) {
-           const fixText = userText.replace(/^修正\s*/, "").trim();
-           const mainMatch = fixText.match(/主模組\s*=\s*([^\s]+)/);
-           const tagsMatch = fixText.match(/輔助\s*=\s*(.+)/);
-
-           if (logs.length === 0) {
-             aiText = "⚠️ 沒有可修正的紀錄";
-           } else {
-             const targetLog = [...logs].reverse().find((log) => !log.deleted);
-
-             if (!targetLog) {
-               aiText = "⚠️ 找不到可修正的紀錄";
-             } else {
-               if (mainMatch) targetLog.main = [mainMatch[1]];
-               if (tagsMatch) {
-                 targetLog.tags = tagsMatch[1].split(/\s*\+\s*/);
-               }
-
-               // 同步更新 Google Sheet
-               try {
-                 await fetch(process.env.SHEET_WEBHOOK_URL, {
-                   method: "POST",
-                   headers: { "Content-Type": "application/json" },
-                   body: JSON.stringify({
-                     action: "update",
-                     timeISO: targetLog.timeISO,
-                     main: targetLog.main,
-                     tags: targetLog.tags,
-                   }),
-                 });
-               } catch (e) {
-                 console.error("[Google Sheet 修正錯誤]", e);
-               }
-
-               aiText = `📝 已修正紀錄：${targetLog.timeDisplay}\n📂 主模組：${targetLog.main.join(" + ")}\n🏷️ 輔助：${targetLog.tags.join(" + ")}`;
-             }
-           }
-         }
-
-
-        // -------- 5) 總結（今日 / 本週 / 本月 / 指定單日） --------
-        else if (isSummaryRequest(userText)) {
-          let rangeType = "today";
-          let start, end;
-
-          // 判斷日期
-          const md = userText.match(/(\d{1,2})[\/\-](\d{1,2})/);
-          if (md) {
-            const now = new Date();
-            let y = now.getFullYear();
-            const m = parseInt(md[1], 10);
-            const d = parseInt(md[2], 10);
-
-            // 總結日期跨年修正
-            const candidate = new Date(y, m - 1, d);
-            if (candidate > now && (candidate - now) / (1000 * 60 * 60 * 24) > 30) {
-              y = y - 1;
-            }
-
-            start = new Date(y, m - 1, d, 0, 0, 0);
-            end   = new Date(y, m - 1, d, 23, 59, 59, 999);
-            rangeType = "custom";
-          } else {
-            if (userText.includes("週")) rangeType = "week";
-            if (userText.includes("月")) rangeType = "month";
-            ({ start, end } = getDateRange(rangeType));
-          }
-
-          try {
-            // 🔎 呼叫 Google Sheet summary
-            const resp = await fetch(process.env.SHEET_WEBHOOK_URL, {
-              method: "POST",
-              headers: { "Content-Type": "application/json" },
-              body: JSON.stringify({
-                action: "summary",
-                start: start.toISOString(),
-                end: end.toISOString()
-              }),
-            });
-
-            const text = await resp.text();
-            let result;
-            try {
-              result = JSON.parse(text);
-            } catch (e) {
-              console.error("[總結解析錯誤]", text);
-              aiText = "⚠️ 總結回傳格式錯誤，請檢查 Sheet Apps Script";
-              result = null;
-            }
-
-            if (result) {
-              const title =
-                md ? `${start.getMonth() + 1}/${start.getDate()} 單日總結`
-                   : rangeType === "today"
-                   ? "今日總結"
-                   : rangeType === "week"
-                   ? "本週總結"
-                   : "本月總結";
-
-              if (!result.rows || !result.rows.length) {
-                aiText = `📊 ${title}\n（沒有紀錄）`;
-              } else {
-                // 清單
-                const list = result.rows.map(
-                  (log, i) =>
-                    `${i + 1}. ${log.timeDisplay}｜${log.summary}｜${log.main.join(" + ")}｜${log.tags.join(" + ") || "無"}`
-                );
-
-                // 主模組統計
-                const statLines = Object.entries(result.stats).map(
-                  ([k, v]) => `${k}: ${v} 筆`
-                );
-
-                aiText = `📊 ${title}\n\n${list.join("\n")}\n\n📈 主模組統計：\n${statLines.join("\n")}`;
-              }
-            }
-          } catch (e) {
-            console.error("[Google Sheet 總結錯誤]", e);
-            aiText = "⚠️ 總結失敗，請檢查 Sheet Webhook";
-          }
-        }
-
-          
-        // -------- 6) 一般對話（延續模式） --------
-        else {
-          try {
-            chatHistory.push({ role: "user", content: userText });
-            const recentHistory = chatHistory.slice(-5);
-
-            const r = await openai.chat.completions.create({
-              model: "gpt-4o",
-              messages: [
-                {
-                  role: "system",
-                  content: SYSTEM_MESSAGE || "你是 Jean 的 LINE 助理，用繁體中文自然回應。",
-                },
-                ...recentHistory,
-              ],
-            });
-
-            const replyText = (r.choices[0]?.message?.content || "").trim();
-            
-            // 移除 ** 粗體符號
-            let formattedReply = replyText.replace(/\*\*/g, "");
-            aiText = formattedReply.slice(0, 1900); // 確保不超過 LINE 限制
-            
-          } catch (e) {
-            console.error("[OpenAI 對話錯誤]", e);
-            aiText = "我這邊忙線一下，等等再試。";
-          }
-        }
-
-        try {
-          await lineReply(event.replyToken, aiText);
-        } catch (e) {
-          console.error("[LINE REPLY 錯誤]", e);
-        }
-  
-      }
-    }
-
+    // 先回 200，LINE 不必等模型與 Sheet（避免逾時重送）；事件交給 waitUntil 在回應後繼續處理
+    const work = processEvents(body.events || []);
+    waitUntil(work);
     res.status(200).end();
+    await work;
   } catch (e) {
     console.error("[WEBHOOK ERROR]", e);
     if (!res.headersSent) res.status(500).end();
@@ -0,0 +1,383 @@
+import { DEFAULT_TIME_ZONE, zonedParts, zonedTime } from "./time.js";
+
+// =============================================================
+// 中文日期 / 時間解析（補記、總結、待辦共用）
+//
+// parseDateTime(text, { now, timeZone, prefer }) → 結果或 null（完全沒有日期 / 時間）
+//  {
+//    at: Date,          // 代表時刻：明確時間本身；範圍則為開始
+//    start, end: Date,  // 範圍（end 含當下那一刻，例如一整天是 00:00 ~ 23:59:59.999）
+//    precision,         // minute | part（上午 / 晚上…）| day | week | month | days（多日）
+//    isRange,           // 有明寫的範圍（14:00-17:30、10/1-10/15）
+//    approximate,       // 有「約 / 左右」
+//    confidence,        // high：照字面即可確定；medium：有推測（日期、上下午、年份）；low：約略
+//    hasDate, hasTime,
+//    display,           // 10/3 15:00、10/3 14:00–17:30、10/18 晚上、10/1–10/15、約 15:00
+//    rest,              // 去掉日期時間後剩下的文字
+//  }
+//
+// 支援：
+//  - 今天 / 昨天 / 前天 / 大前天 / 明天 / 後天、今早 / 今晚 / 昨晚 / 前晚 / 明早
+//  - 週二、上週五、下禮拜一、星期天（prefer 決定沒寫上 / 下時往過去或未來找）
+//  - 2025/10/3、2025年10月3日、10/3、10-3、十月三日、10月3號（沒寫年份時離今天超過 30 天的往 prefer 方向調年份）、本月3號、上個月十號
+//  - 15:00、3點、3時、三點半、十一點十五分、下午兩點、晚上 11 點（凌晨 / 早上 / 上午 / 中午 / 下午 / 傍晚 / 晚上 / 半夜）
+//  - 範圍：14:00-17:30、下午兩點到五點、10/1-10/15、10/1~15、本週 / 上週 / 這個月 / 上個月
+//  - 有寫今天 / 昨天… 時以它為準，句中的 1/2、3-4 不當日期；數字日期後面緊接量詞（3-4件）也不算
+// =============================================================
+
+const CN_DIGITS = { 零: 0, 〇: 0, 一: 1, 二: 2, 兩: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+const NUM = "[0-9零〇一二兩三四五六七八九十]{1,3}";
+const TO = "\\s*(?:-|~|～|到|至|—|–)\\s*";
+const PART = "凌晨|清晨|早上|早晨|上午|中午|下午|傍晚|晚上|半夜|深夜";
+
+// 時段 → 小時範圍 [起, 迄)（迄可超過 24 表示跨到隔天）
+const PART_HOURS = {
+  凌晨: [0, 6], 清晨: [5, 8], 早上: [6, 12], 早晨: [6, 12], 上午: [8, 12], 中午: [11, 14],
+  下午: [13, 18], 傍晚: [17, 19], 晚上: [18, 24], 半夜: [23, 27], 深夜: [23, 27],
+};
+
+// 日期詞 → 相對今天的天數（今早、昨晚… 另帶時段）
+const DAY_WORDS = {
+  大前天: [-3], 前天: [-2], 昨天: [-1], 昨日: [-1], 今天: [0], 今日: [0],
+  明天: [1], 明日: [1], 後天: [2],
+  前晚: [-2, "晚上"], 昨晚: [-1, "晚上"], 今晚: [0, "晚上"], 明晚: [1, "晚上"],
+  昨早: [-1, "早上"], 今早: [0, "早上"], 明早: [1, "早上"],
+};
+const WEEKDAY_CHARS = { 日: 0, 天: 0, 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6, 7: 0, 1: 1, 2: 2, 3: 3, 4: 4, 5: 5, 6: 6 };
+const YEAR_GUESS_DAYS = 30;
+
+/** 阿拉伯數字或中文數字（到 99）→ number；無法解析回傳 NaN */
+export function toNumber(text) {
+  if (/^\d+$/.test(text)) return Number(text);
+  if (!/^[零〇一二兩三四五六七八九十]+$/.test(text)) return NaN;
+  if (!text.includes("十")) {
+    // 二〇二五 這種逐字寫法
+    return Number([...text].map((c) => CN_DIGITS[c]).join(""));
+  }
+  const [tens, ones] = text.split("十");
+  if (ones.length > 1 || tens.length > 1) return NaN;
+  return (tens ? CN_DIGITS[tens] : 1) * 10 + (ones ? CN_DIGITS[ones] : 0);
+}
+
+// 全形數字與冒號 → 半形（一對一替換，位置不變，rest 才能對回原文）
+function normalize(text) {
+  return text
+    .replace(/[０-９]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0xfee0))
+    .replace(/：/g, ":")
+    .replace(/／/g, "/");
+}
+
+// ---------------- 曆日計算（不含時區） ----------------
+function civil(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+function addDays(date, n) {
+  return civil(date.year, date.month, date.day + n);
+}
+function weekdayOf(date) {
+  return new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+}
+function dayDiff(a, b) {
+  return (Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day)) / 86400000;
+}
+function isValidDate(year, month, day) {
+  const d = civil(year, month, day);
+  return d.year === year && d.month === month && d.day === day;
+}
+// 週一為一週開始
+function startOfWeek(date) {
+  return addDays(date, -((weekdayOf(date) + 6) % 7));
+}
+
+/** 小時依時段換成 24 小時制（可能 >= 24，代表隔天） */
+function applyPart(hour, part) {
+  if (!part) return hour;
+  if (part === "凌晨") return hour === 12 ? 0 : hour;
+  if (part === "半夜" || part === "深夜") return hour === 12 ? 24 : hour >= 9 && hour < 12 ? hour + 12 : hour < 6 ? hour + 24 : hour;
+  if (part === "中午") return hour <= 2 ? hour + 12 : hour;
+  if (part === "下午" || part === "傍晚") return hour < 12 ? hour + 12 : hour;
+  if (part === "晚上") return hour === 12 ? 24 : hour < 4 ? hour + 24 : hour < 12 ? hour + 12 : hour;
+  return hour; // 早上 / 上午 / 清晨
+}
+
+// ---------------- 逐項比對 ----------------
+/**
+ * 在 work 字串中找 pattern，交給 read 解讀；read 回傳值不為 null 才算命中，
+ * 命中的部分換成等長空白（避免被後面的規則重複使用）。回傳 read 的結果或 null
+ */
+function take(state, pattern, read = (m) => m) {
+  const m = state.work.match(pattern);
+  if (!m) return null;
+  const value = read(m);
+  if (value == null) return null;
+  state.work =
+    state.work.slice(0, m.index) + " ".repeat(m[0].length) + state.work.slice(m.index + m[0].length);
+  state.consumed.push([m.index, m.index + m[0].length]);
+  return value;
+}
+
+/** 沒寫年份的月日：離今天超過 30 天就往 prefer 的方向換年份 */
+function guessYear(month, day, today, prefer) {
+  const date = { year: today.year, month, day };
+  const diff = dayDiff(date, today);
+  if (prefer === "past" && diff > YEAR_GUESS_DAYS) date.year -= 1;
+  if (prefer === "future" && diff < -YEAR_GUESS_DAYS) date.year += 1;
+  return { date, shifted: date.year !== today.year };
+}
+
+// 日期：前後不能緊接數字或「:」，後面接「點 / 時」的是時間（2-4點），接量詞的是數量（3-4件、1/2杯）
+// （量詞要緊接在後；台、包、公… 常接地名或名詞（10/3台北、10/3包裝）所以不列，「個展」也不算）
+const MEASURE = "件|個(?!展)|張|杯|份|次|人|位|支|瓶|盒|雙|條|隻|顆|塊|頁|歲|小時|分鐘|公斤|公里";
+const DATE_END = `(?![\\d:點時]|${MEASURE})`;
+const DATE_RE =
+  `(?<![\\d:])(?:(\\d{4}|[零〇一二兩三四五六七八九]{4})\\s*[/\\-年]\\s*)?` +
+  `(${NUM})\\s*(?:[/\\-]|月)\\s*(${NUM})\\s*[日號]?${DATE_END}`;
+const DATE_RANGE_RE =
+  `${DATE_RE}${TO}(?:(${NUM})\\s*(?:[/\\-]|月)\\s*)?(${NUM})\\s*[日號]?${DATE_END}`;
+
+function readDate(m, offset, today, prefer) {
+  const month = toNumber(m[offset + 1]);
+  const day = toNumber(m[offset + 2]);
+  if (m[offset]) {
+    const year = toNumber(m[offset]);
+    return isValidDate(year, month, day) ? { date: { year, month, day }, shifted: false } : null;
+  }
+  // 2/29 要等猜完年份才知道合不合法
+  if (!isValidDate(2024, month, day)) return null;
+  const guessed = guessYear(month, day, today, prefer);
+  return isValidDate(guessed.date.year, month, day) ? guessed : null;
+}
+
+// 時間：可帶時段，需有「:」「點」「時」才算（避免把 10/3 的 10 當成小時）
+// 「時」後面要接分 / 半或斷開，第3時段、開會2時間不是時間
+const HOUR_SHI = `時(?=半|\\s*${NUM}\\s*分|[^\\u3400-\\u9fff\\w]|$)`;
+const TIME_MARK = `(?::(\\d{2})|(?:點|${HOUR_SHI})\\s*(?:(半)|(${NUM})\\s*分?|鐘)?)`;
+const TIME_RE = `(?:(${PART})\\s*)?(${NUM})\\s*${TIME_MARK}`;
+// 範圍的開始可省略「點」：下午 2-4 點
+const TIME_RANGE_RE = `(?:(${PART})\\s*)?(${NUM})\\s*${TIME_MARK}?${TO}${TIME_RE}`;
+
+function readTime(m, offset) {
+  const part = m[offset];
+  const hour = toNumber(m[offset + 1]);
+  const minute = m[offset + 3] ? 30 : toNumber(m[offset + 2] ?? m[offset + 4] ?? "0");
+  if (!(hour >= 0 && hour <= 24 && minute >= 0 && minute < 60)) return null;
+  return { part, hour, minute };
+}
+
+const SHIFTS = { 上上: -2, 上: -1, 下下: 2, 下: 1, 這: 0, 本: 0 };
+const DAY_WORDS_RE = new RegExp(Object.keys(DAY_WORDS).sort((a, b) => b.length - a.length).join("|"));
+
+// ---------------- 主程式 ----------------
+export function parseDateTime(text, { now = new Date(), timeZone = DEFAULT_TIME_ZONE, prefer = "past" } = {}) {
+  const state = { work: normalize(String(text || "")), consumed: [] };
+  const todayParts = zonedParts(now, timeZone);
+  const today = { year: todayParts.year, month: todayParts.month, day: todayParts.day };
+  const nowMinutes = todayParts.hour * 60 + todayParts.minute;
+
+  let confidence = "high";
+  const lower = () => { if (confidence === "high") confidence = "medium"; };
+
+  // 約略（「約 3 點」「3 點左右」；約會 / 約好不算）
+  const approxBefore = take(state, /大約|約莫|約(?![會好定])/);
+  const approxAfter = take(state, /左右|前後(?!天)/);
+  const approximate = Boolean(approxBefore || approxAfter);
+
+  // ---- 日期 ----
+  let date = null;       // 單日
+  let dayPart = null;    // 昨晚 → 晚上
+
+  // 有今天 / 昨天… 時，句中的數字日期多半是內容（昨天看了1/2的書），以日期詞為準
+  const hasDayWord = DAY_WORDS_RE.test(state.work);
+
+  // 多日範圍：10/1-10/15、10/1~15、本週 / 上週、這個月 / 上個月
+  const dateRange =
+    (!hasDayWord &&
+      take(state, new RegExp(DATE_RANGE_RE), (m) => {
+      const from = readDate(m, 1, today, prefer);
+      if (!from) return null;
+      const to = { year: from.date.year, month: m[4] ? toNumber(m[4]) : from.date.month, day: toNumber(m[5]) };
+      if (dayDiff(to, from.date) < 0) to.year += 1; // 12/25-1/5 跨年
+      if (!isValidDate(to.year, to.month, to.day)) return null;
+      if (from.shifted) lower();
+      return { from: from.date, to, precision: "days" };
+    })) ||
+    take(state, /(上上|上|下下|下|這|本)(?:個)?(?:週|周|禮拜|星期)(?![一二三四五六日天1-7])/, (m) => {
+      const from = addDays(startOfWeek(today), SHIFTS[m[1]] * 7);
+      return { from, to: addDays(from, 6), precision: "week" };
+    }) ||
+    take(state, /(上|下|這|本)(?:個)?月(?![\d零〇一二兩三四五六七八九十]+[日號])/, (m) => {
+      const from = civil(today.year, today.month + SHIFTS[m[1]], 1);
+      return { from, to: civil(from.year, from.month + 1, 0), precision: "month" };
+    });
+
+  if (!dateRange) {
+    date =
+      // 週二、上週五
+      take(state, /(上上|上|下下|下|這|本)?(?:個)?(?:週|周|星期|禮拜)([一二三四五六日天1-7])/, (m) => {
+        const target = WEEKDAY_CHARS[m[2]];
+        if (m[1]) return addDays(startOfWeek(today), SHIFTS[m[1]] * 7 + ((target + 6) % 7));
+        // 沒寫上 / 下：往 prefer 方向找最近的那天（今天也算）
+        lower();
+        const diff = (target - weekdayOf(today) + 7) % 7;
+        return prefer === "future" ? addDays(today, diff) : addDays(today, diff ? diff - 7 : 0);
+      }) ||
+      // 昨天、前晚
+      take(state, DAY_WORDS_RE, (m) => {
+        const [offset, part] = DAY_WORDS[m[0]];
+        dayPart = part || null;
+        return addDays(today, offset);
+      }) ||
+      // 本月3號、上個月十號
+      take(state, new RegExp(`(上|下|這|本)(?:個)?月\\s*(${NUM})\\s*[日號]`), (m) => {
+        const month = civil(today.year, today.month + SHIFTS[m[1]], 1);
+        const day = toNumber(m[2]);
+        return isValidDate(month.year, month.month, day) ? { ...month, day } : null;
+      }) ||
+      // 2025/10/3、10/3、十月三日
+      take(state, new RegExp(DATE_RE), (m) => {
+        const read = readDate(m, 1, today, prefer);
+        if (read?.shifted) lower();
+        return read?.date ?? null;
+      });
+  }
+
+  // ---- 時間 ----
+  let time = null;      // { hour, minute }（hour 可 >= 24）
+  let timeRange = null; // { start, end }（分鐘，相對當天 0 點）
+  if (!dateRange) {
+    timeRange = take(state, new RegExp(TIME_RANGE_RE), (m) => {
+      const a = readTime(m, 1);
+      const b = readTime(m, 6);
+      if (!a || !b) return null;
+      const start = applyPart(a.hour, a.part || dayPart) * 60 + a.minute;
+      // 結束沒寫時段：照寫、+12、+24 小時中取時長最短的（下午 2 點到 4 點、晚上 11 點到 1 點）
+      const candidates = b.part ? [applyPart(b.hour, b.part)] : [b.hour, b.hour + 12, b.hour + 24];
+      const end = candidates
+        .map((h) => h * 60 + b.minute)
+        .map((e) => (e <= start ? e + 24 * 60 : e))
+        .sort((x, y) => x - y)[0];
+      if (!a.part && !dayPart && !m[0].includes(":")) lower();
+      return { start, end };
+    });
+    if (!timeRange) {
+      time = take(state, new RegExp(TIME_RE), (m) => {
+        const t = readTime(m, 1);
+        if (!t) return null;
+        const part = t.part || dayPart;
+        if (!part && t.hour >= 1 && t.hour <= 12 && !m[0].includes(":")) lower(); // 3點：不確定上下午
+        return { hour: applyPart(t.hour, part), minute: t.minute };
+      });
+    }
+  }
+  let partName = null;
+  if (!dateRange && !time && !timeRange) {
+    partName = take(state, new RegExp(PART))?.[0] || dayPart;
+  }
+  const partRange = partName ? PART_HOURS[partName] : null;
+
+  const hasDate = Boolean(date || dateRange);
+  const hasTime = Boolean(time || timeRange || partRange);
+  if (!hasDate && !hasTime) return null;
+
+  // 只有時間沒有日期：今天；依 prefer 避免落在未來 / 過去
+  if (!hasDate) {
+    const startMin = time ? time.hour * 60 + time.minute : timeRange ? timeRange.start : partRange[0] * 60;
+    date = today;
+    if (prefer === "past" && startMin > nowMinutes + 5) date = addDays(today, -1);
+    if (prefer === "future" && startMin < nowMinutes) date = addDays(today, 1);
+    lower();
+  }
+
+  // ---- 組結果 ----
+  const at = (d, minutes) => zonedTime({ ...d, hour: 0, minute: minutes }, timeZone);
+  const endOfDay = (d) => new Date(zonedTime(addDays(d, 1), timeZone).getTime() - 1);
+  let result;
+  if (dateRange) {
+    result = {
+      start: zonedTime(dateRange.from, timeZone),
+      end: endOfDay(dateRange.to),
+      precision: dateRange.precision,
+      isRange: true,
+    };
+  } else if (timeRange) {
+    result = { start: at(date, timeRange.start), end: at(date, timeRange.end), precision: "minute", isRange: true };
+  } else if (time) {
+    const point = at(date, time.hour * 60 + time.minute);
+    result = { start: point, end: point, precision: "minute", isRange: false };
+  } else if (partRange) {
+    result = {
+      start: at(date, partRange[0] * 60),
+      end: new Date(at(date, partRange[1] * 60).getTime() - 1),
+      precision: "part",
+      isRange: false,
+    };
+    lower();
+  } else {
+    result = { start: at(date, 0), end: endOfDay(date), precision: "day", isRange: false };
+  }
+
+  result.at = result.start;
+  if (approximate && result.precision === "minute" && !result.isRange) {
+    // 約 3 點 → 前後半小時
+    result.start = new Date(result.at.getTime() - 30 * 60000);
+    result.end = new Date(result.at.getTime() + 30 * 60000);
+  }
+  if (approximate) confidence = "low";
+
+  return {
+    ...result,
+    approximate,
+    confidence,
+    hasDate,
+    hasTime,
+    display: formatDisplay(result, { approximate, timeZone, now, partName }),
+    rest: restOf(text, state.consumed),
+  };
+}
+
+// 去掉已解析的片段，剩下的文字（例如補記內容）；normalize 不改長度，位置可直接對回原文
+function restOf(text, consumed) {
+  const s = String(text || "");
+  let out = "";
+  for (let i = 0; i < s.length; i++) {
+    out += consumed.some(([a, b]) => i >= a && i < b) ? " " : s[i];
+  }
+  return out.replace(/\s+/g, " ").trim();
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function formatDisplay(result, { approximate, timeZone, now, partName }) {
+  const thisYear = zonedParts(now, timeZone).year;
+  const day = (d) => {
+    const p = zonedParts(d, timeZone);
+    return p.year === thisYear ? `${p.month}/${p.day}` : `${p.year}/${p.month}/${p.day}`;
+  };
+  const hm = (d) => {
+    const p = zonedParts(d, timeZone);
+    return `${pad(p.hour)}:${pad(p.minute)}`;
+  };
+
+  switch (result.precision) {
+    case "days":
+    case "week":
+      return `${day(result.start)}–${day(result.end)}`;
+    case "month": {
+      const p = zonedParts(result.start, timeZone);
+      return p.year === thisYear ? `${p.month}月` : `${p.year}/${p.month}月`;
+    }
+    case "day":
+      return day(result.start);
+    case "part":
+      return `${day(result.start)} ${partName}`;
+    default: {
+      const startText = `${day(result.at)} ${hm(result.at)}`;
+      if (result.isRange) {
+        const sameDay = day(result.start) === day(result.end);
+        return `${startText}–${sameDay ? "" : `${day(result.end)} `}${hm(result.end)}`;
+      }
+      return approximate ? `約 ${startText}` : startText;
+    }
+  }
+}
@@ -0,0 +1,44 @@
+import { getStore } from "./store.js";
+import { nowUtcISO } from "./time.js";
+
+// =============================================================
+// Webhook 事件去重
+//  - LINE 沒收到 200（逾時、部署中）會重送同一個事件，webhookEventId 不變、deliveryContext.isRedelivery 為 true
+//  - 處理過的 webhookEventId 記在 webhookEvents 集合：{ id, eventId, redelivery, receivedAt }，保留 SEEN_TTL_HOURS
+//  - 同一個執行個體內同時收到同一事件時，以記憶體內的 Set 先佔位
+// =============================================================
+
+const store = getStore();
+
+const SEEN_TTL_HOURS = 24;
+const claiming = new Set();
+
+async function pruneSeen(now) {
+  const cutoff = now - SEEN_TTL_HOURS * 3600 * 1000;
+  for (const doc of await store.list("webhookEvents")) {
+    if (new Date(doc.receivedAt).getTime() < cutoff) await store.remove("webhookEvents", doc.id);
+  }
+}
+
+/**
+ * 第一次見到這個事件回傳 true（並記下來）；處理過的重送回傳 false。
+ * 沒有 webhookEventId 的事件（舊版 webhook）一律處理
+ */
+export async function claimEvent(event) {
+  const eventId = event.webhookEventId;
+  if (!eventId) return true;
+  if (claiming.has(eventId)) return false;
+  claiming.add(eventId);
+  try {
+    if ((await store.list("webhookEvents", { eventId })).length) return false;
+    await store.insert("webhookEvents", {
+      eventId,
+      redelivery: Boolean(event.deliveryContext?.isRedelivery),
+      receivedAt: nowUtcISO(),
+    });
+    await pruneSeen(Date.now());
+    return true;
+  } finally {
+    claiming.delete(eventId);
+  }
+}
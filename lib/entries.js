@@ -0,0 +1,42 @@
+// =============================================================
+// 一則訊息拆成多筆（補記與即時紀錄共用）
+//  - 多行：每行一筆（空行略過）
+//  - 同一行的編號列舉：「1. 起床 2. 吃早餐」「①起床 ②吃早餐」，編號須從 1 起連續
+//  - 每筆開頭的編號、項目符號（1.、1、、(1)、①、・、-、*）會去掉
+// splitEntries(text) → 各筆文字；不到兩筆回傳 null（當成單筆處理）
+//  - 不截斷：超過 MAX_ENTRIES 筆時由呼叫端整則拒收並告知，避免默默少記
+// =============================================================
+
+export const MAX_ENTRIES = 20;
+
+const CIRCLED = "①②③④⑤⑥⑦⑧⑨⑩⑪⑫⑬⑭⑮⑯⑰⑱⑲⑳";
+const BULLET_RE = new RegExp(`^\\s*(?:\\d{1,2}[.、)）](?!\\d)|[(（]\\d{1,2}[)）]|[${CIRCLED}]|[・•*\\-－])\\s*`);
+const INLINE_MARK_RE = new RegExp(`(?:^|\\s)(?:(\\d{1,2})[.、)）](?!\\d)|[(（](\\d{1,2})[)）]|([${CIRCLED}]))`, "g");
+
+function stripBullet(line) {
+  return line.replace(BULLET_RE, "").trim();
+}
+
+/** 同一行的編號列舉 → 各筆；編號不是 1、2、3… 連續時回傳 null */
+function splitInline(line) {
+  const marks = [...line.matchAll(INLINE_MARK_RE)];
+  if (marks.length < 2) return null;
+  const numbers = marks.map((m) => (m[3] ? CIRCLED.indexOf(m[3]) + 1 : Number(m[1] ?? m[2])));
+  if (numbers.some((n, i) => n !== i + 1)) return null;
+  // 第一個編號前還有文字（例如「補記 昨天 1. 起床 2. …」的「昨天」）就當成第一筆之前的一行
+  const head = line.slice(0, marks[0].index).trim();
+  const items = marks.map((m, i) =>
+    line.slice(m.index + m[0].length, marks[i + 1]?.index ?? line.length).trim()
+  );
+  return [...(head ? [head] : []), ...items];
+}
+
+export function splitEntries(text) {
+  const lines = String(text)
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const items = lines.length === 1 ? splitInline(lines[0]) : lines.map(stripBullet);
+  const entries = (items || []).filter(Boolean);
+  return entries.length >= 2 ? entries : null;
+}
@@ -0,0 +1,68 @@
+import { getStore } from "./store.js";
+import { nowUtcISO } from "./time.js";
+
+// =============================================================
+// 分類範例（從使用者的修正 / 確認學習）
+// examples 集合：{ id, ownerId, logId, text, main[], tags[], source: correction|confirm, createdAt }
+//  - 每筆紀錄最多一個範例，再次修正會覆寫
+//  - 相似度用字元 bigram 的 Jaccard（不需要呼叫模型），供最近鄰比對與挑選 few-shot 範例
+// =============================================================
+
+const store = getStore();
+
+const MAX_EXAMPLES = 200; // 每個 owner 保留最近幾筆
+
+/** 由紀錄存成範例（紀錄需有 rawText，舊紀錄退回用摘要） */
+export async function saveExample(log, source) {
+  const text = (log.rawText || log.summary || "").trim();
+  if (!text || !log.main?.length) return null;
+
+  const doc = {
+    ownerId: log.ownerId,
+    logId: log.id,
+    text,
+    main: log.main,
+    tags: log.tags || [],
+    source,
+    createdAt: nowUtcISO(),
+  };
+  const all = await store.list("examples", { ownerId: log.ownerId });
+  const existing = all.find((e) => e.logId === log.id);
+  if (existing) return store.update("examples", existing.id, doc);
+
+  // 超過上限時刪掉最舊的
+  const overflow = all.length + 1 - MAX_EXAMPLES;
+  for (const old of all.sort((a, b) => a.id - b.id).slice(0, Math.max(0, overflow))) {
+    await store.remove("examples", old.id);
+  }
+  return store.insert("examples", doc);
+}
+
+// ---------------- 相似度 ----------------
+export function bigrams(text) {
+  const s = text.replace(/[\s\p{P}\p{S}]/gu, "");
+  if (s.length < 2) return new Set(s ? [s] : []);
+  const set = new Set();
+  for (let i = 0; i < s.length - 1; i++) set.add(s.slice(i, i + 2));
+  return set;
+}
+
+/** 0~1；1 代表去掉空白標點後完全相同 */
+export function similarity(a, b) {
+  const A = bigrams(a);
+  const B = bigrams(b);
+  if (!A.size || !B.size) return 0;
+  let shared = 0;
+  for (const g of A) if (B.has(g)) shared++;
+  return shared / (A.size + B.size - shared);
+}
+
+/** 與 text 最相似的 k 個範例（相似度由高到低）：[{ example, score }] */
+export async function findSimilarExamples(ownerId, text, k = 5) {
+  const examples = await store.list("examples", { ownerId });
+  return examples
+    .map((example) => ({ example, score: similarity(text, example.text) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || b.example.id - a.example.id)
+    .slice(0, k);
+}
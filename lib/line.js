@@ -0,0 +1,55 @@
+import { toMessages } from "./messages.js";
+
+// =============================================================
+// LINE Messaging API：Reply / Push / 內容下載
+// =============================================================
+
+const { LINE_CHANNEL_ACCESS_TOKEN } = process.env;
+
+async function postMessages(url, payload, label) {
+  const headers = {
+    Authorization: `Bearer ${LINE_CHANNEL_ACCESS_TOKEN}`,
+    "Content-Type": "application/json",
+  };
+
+  const resp = await fetch(url, { method: "POST", headers, body: JSON.stringify(payload) });
+  if (!resp.ok) {
+    const t = await resp.text();
+    console.error(`[LINE ${label} ERROR]`, resp.status, t);
+  }
+  return resp.ok;
+}
+
+// ---------------- Reply ----------------
+// reply：純文字字串，或已組好的 message / message[]（見 lib/messages.js）
+export async function lineReply(replyToken, reply) {
+  return postMessages(
+    "https://api.line.me/v2/bot/message/reply",
+    { replyToken, messages: toMessages(reply) },
+    "REPLY"
+  );
+}
+
+// ---------------- Push（排程推播用；to 為 userId / groupId / roomId） ----------------
+export async function linePush(to, reply) {
+  return postMessages(
+    "https://api.line.me/v2/bot/message/push",
+    { to, messages: toMessages(reply) },
+    "PUSH"
+  );
+}
+
+// ---------------- 內容下載（語音 / 圖片） ----------------
+export async function lineGetContent(messageId) {
+  const url = `https://api-data.line.me/v2/bot/message/${messageId}/content`;
+  const resp = await fetch(url, {
+    headers: { Authorization: `Bearer ${LINE_CHANNEL_ACCESS_TOKEN}` },
+  });
+  if (!resp.ok) {
+    throw new Error(`LINE content ${resp.status}: ${await resp.text()}`);
+  }
+  return {
+    buffer: Buffer.from(await resp.arrayBuffer()),
+    contentType: resp.headers.get("content-type") || "application/octet-stream",
+  };
+}
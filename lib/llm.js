@@ -0,0 +1,188 @@
+import { readFileSync } from "node:fs";
+import OpenAI, { toFile } from "openai";
+import { validateSchema } from "./schema.js";
+
+// =============================================================
+// LLM 供應層（分類、摘要、小語、一次完成、回顧、對話與對話摘要、照片、語音共用）
+//  - 各任務的模型、temperature、maxTokens、timeoutMs、retries 在 config/llm.json（或 LLM_CONFIG_FILE）
+//  - complete(task, messages)：文字回覆
+//  - completeJSON(task, messages, schema)：取出 JSON（容許 ```json 圍欄與前後多餘文字）並依 schema 驗證，
+//    格式不符時重問一次
+//  - transcribe(task, { buffer, contentType, filename })：語音轉文字
+//  - 逾時與暫時性錯誤（429、5xx、連線中斷）依任務的 timeoutMs / retries 重試（交給 OpenAI SDK）
+//  - LLM_PROVIDER=stub：不連網、輸出固定的替身，整個 webhook 可離線測試
+// 回傳皆附 usage：{ promptTokens, completionTokens, totalTokens }
+// =============================================================
+
+const { OPENAI_API_KEY, LLM_CONFIG_FILE, LLM_PROVIDER } = process.env;
+
+const JSON_RETRIES = 1; // 結構化輸出格式不符時重問幾次
+
+function loadConfig() {
+  const path = LLM_CONFIG_FILE || new URL("../config/llm.json", import.meta.url);
+  return JSON.parse(readFileSync(path, "utf8"));
+}
+const CONFIG = loadConfig();
+
+/** 任務設定 = defaults + tasks[task]；沒設定的任務丟出錯誤 */
+export function taskConfig(task) {
+  if (!CONFIG.tasks[task]) throw new Error(`未設定的 LLM 任務：${task}`);
+  return { ...CONFIG.defaults, ...CONFIG.tasks[task] };
+}
+
+// ---------------- 用量 ----------------
+export function emptyUsage() {
+  return { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+}
+
+function toUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || 0,
+  };
+}
+
+export function addUsage(total, usage) {
+  total.promptTokens += usage.promptTokens;
+  total.completionTokens += usage.completionTokens;
+  total.totalTokens += usage.totalTokens;
+  return total;
+}
+
+// ---------------- 供應者 ----------------
+// provider：{ name, chat(request) → { text, usage, model }, transcribe(request) → { text, usage, model } }
+function createOpenAIProvider() {
+  let client;
+  const getClient = () => (client ??= new OpenAI({ apiKey: OPENAI_API_KEY }));
+
+  return {
+    name: "openai",
+    async chat({ model, temperature, maxTokens, messages, json, timeoutMs, retries }) {
+      const r = await getClient().chat.completions.create(
+        {
+          model,
+          temperature,
+          max_tokens: maxTokens,
+          messages,
+          ...(json ? { response_format: { type: "json_object" } } : {}),
+        },
+        { timeout: timeoutMs, maxRetries: retries }
+      );
+      return { text: r.choices?.[0]?.message?.content || "", usage: toUsage(r.usage), model: r.model || model };
+    },
+    async transcribe({ model, language, buffer, contentType, filename, timeoutMs, retries }) {
+      const file = await toFile(buffer, filename, { type: contentType });
+      const r = await getClient().audio.transcriptions.create(
+        { model, language, file },
+        { timeout: timeoutMs, maxRetries: retries }
+      );
+      return { text: r.text || "", usage: emptyUsage(), model };
+    },
+  };
+}
+
+// 替身的固定回覆：task → (最後一則使用者文字) => 回覆文字
+const STUB_REPLIES = {
+  classify: () => JSON.stringify({ main: [], tags: [], confidence: 0.5 }),
+  summarize: (input) => input.slice(0, 15),
+  enrich: (input) =>
+    JSON.stringify({ summary: input.slice(0, 15), phrase: "（狀態已記錄）", main: [], tags: [], confidence: 0.5 }),
+  phrase: () => "（狀態已記錄）",
+  review: () => "（離線模式）這段期間的回顧請見下方數據。",
+  chat: (input) => `（離線模式）收到：${input}`,
+  memory: (input) => input.slice(-200),
+  vision: () => "一張照片",
+  transcribe: () => "",
+};
+
+function lastUserText(messages) {
+  const last = [...messages].reverse().find((m) => m.role === "user");
+  if (!last) return "";
+  if (typeof last.content === "string") return last.content;
+  return last.content
+    .filter((part) => part.type === "text")
+    .map((part) => part.text)
+    .join("\n");
+}
+
+/** 離線替身；replies 可覆寫個別任務的回覆 */
+export function createStubProvider(replies = {}) {
+  const table = { ...STUB_REPLIES, ...replies };
+  const reply = (task, input) => (table[task] ? table[task](input) : "");
+  return {
+    name: "stub",
+    async chat(request) {
+      return { text: reply(request.task, lastUserText(request.messages)), usage: emptyUsage(), model: "stub" };
+    },
+    async transcribe(request) {
+      return { text: reply(request.task, ""), usage: emptyUsage(), model: "stub" };
+    },
+  };
+}
+
+let provider = null;
+
+function getProvider() {
+  if (!provider) {
+    const name = LLM_PROVIDER || CONFIG.provider;
+    provider = name === "stub" ? createStubProvider() : createOpenAIProvider();
+  }
+  return provider;
+}
+
+/** 換掉供應者（測試時注入 createStubProvider(...)） */
+export function setProvider(next) {
+  provider = next;
+}
+
+// ---------------- 呼叫 ----------------
+/** 文字回覆：{ text, usage, model } */
+export async function complete(task, messages, { json = false } = {}) {
+  const config = taskConfig(task);
+  const r = await getProvider().chat({ ...config, task, messages, json });
+  return { ...r, text: r.text.trim() };
+}
+
+/** 從模型輸出取出 JSON：去掉 ```json 圍欄；仍失敗就取第一個 { / [ 到最後一個 } / ] */
+export function extractJSON(text) {
+  const unfenced = text.trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+  try {
+    return JSON.parse(unfenced);
+  } catch (e) {
+    const start = unfenced.search(/[{[]/);
+    const end = Math.max(unfenced.lastIndexOf("}"), unfenced.lastIndexOf("]"));
+    if (start === -1 || end <= start) throw new Error(`不是 JSON：${text.slice(0, 100)}`);
+    return JSON.parse(unfenced.slice(start, end + 1));
+  }
+}
+
+/**
+ * 結構化回覆：{ data, usage, model }；usage 含重問的用量。
+ * 解析失敗或不符 schema 時重問，仍不行就丟出最後的錯誤
+ */
+export async function completeJSON(task, messages, schema = null) {
+  const usage = emptyUsage();
+  let lastError;
+  for (let attempt = 0; attempt <= JSON_RETRIES; attempt++) {
+    const r = await complete(task, messages, { json: true });
+    addUsage(usage, r.usage);
+    try {
+      const data = extractJSON(r.text);
+      const errors = schema ? validateSchema(schema, data) : [];
+      if (!errors.length) return { data, usage, model: r.model };
+      lastError = new Error(`${task} 輸出不符格式：${errors.join("；")}`);
+    } catch (e) {
+      lastError = e;
+    }
+    console.error("[LLM 格式錯誤]", task, `第 ${attempt + 1} 次`, lastError.message);
+  }
+  throw lastError;
+}
+
+/** 語音轉文字：{ text, usage, model } */
+export async function transcribe(task, { buffer, contentType, filename }) {
+  const config = taskConfig(task);
+  const r = await getProvider().transcribe({ ...config, task, buffer, contentType, filename });
+  return { ...r, text: r.text.trim() };
+}
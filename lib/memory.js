@@ -0,0 +1,142 @@
+import { getStore } from "./store.js";
+import { complete } from "./llm.js";
+import { parseDateTime } from "./datetime.js";
+import { bigrams } from "./examples.js";
+import { formatDuration, formatLogId } from "./messages.js";
+import { formatMoney } from "./money.js";
+import { DEFAULT_TIME_ZONE } from "./time.js";
+
+// =============================================================
+// 一般對話的記憶
+//  - 每個 owner（使用者 / 群組）一份：chatHistory:<ownerId> = { summary, turns: [{ role: user|assistant, content }] }
+//    （舊版是只有使用者訊息的陣列，讀取時轉成 turns）
+//  - 超過 COMPRESS_AT 則時，較舊的壓進 summary（task: memory），只留最近 KEEP_TURNS 則原文
+//  - 相關紀錄：問題裡的日期範圍（今天、上週、10/3…）內的紀錄 + 關鍵字相符的紀錄 + 最近幾筆，
+//    交給模型回答「我今天都在忙什麼？」「上次去藝廊是哪天？」
+// =============================================================
+
+const store = getStore();
+
+const KEEP_TURNS = 8;
+const COMPRESS_AT = 16;
+const RANGE_LOG_LIMIT = 40; // 日期範圍內最多帶幾筆
+const MATCH_LOG_LIMIT = 10; // 關鍵字相符最多帶幾筆
+const RECENT_LOG_COUNT = 5;
+
+// 問句常見的字，不當作關鍵字
+const QUESTION_WORDS = [
+  "上次", "上一次", "最近", "什麼", "哪天", "哪一天", "幾號", "時候", "今天", "昨天", "前天", "本週", "這週", "上週",
+  "本月", "這個月", "上個月", "幾次", "多少", "有沒有", "都在", "在忙", "是哪", "我的", "我有", "我在", "還有",
+];
+const STOP_BIGRAMS = new Set(QUESTION_WORDS.flatMap((word) => [...bigrams(word)]));
+
+function historyKey(ownerId) {
+  return `chatHistory:${ownerId}`;
+}
+
+// ---------------- 對話歷史 ----------------
+/** { summary, turns }；沒有歷史時為空 */
+export async function loadConversation(ownerId) {
+  const saved = await store.getValue(historyKey(ownerId));
+  if (Array.isArray(saved)) return { summary: "", turns: saved.slice(-KEEP_TURNS) };
+  return { summary: saved?.summary || "", turns: saved?.turns || [] };
+}
+
+/** 把較舊的對話與原本的摘要壓成新的摘要；失敗時回傳 null（原文照留） */
+async function compress(summary, turns) {
+  const transcript = turns.map(({ role, content }) => `${role === "user" ? "使用者" : "助理"}：${content}`).join("\n");
+  try {
+    const r = await complete("memory", [
+      {
+        role: "system",
+        content:
+          "把以下對話整理成給助理自己看的備忘摘要（繁體中文，200 字以內）：保留使用者提過的事實、偏好、" +
+          "進行中的計畫與還沒回答完的問題，去掉寒暄。已有的摘要內容要一併保留、更新。只回摘要本文。",
+      },
+      { role: "user", content: `${summary ? `已有的摘要：\n${summary}\n\n` : ""}新的對話：\n${transcript}` },
+    ]);
+    return r.text || null;
+  } catch (e) {
+    console.error("[對話摘要錯誤]", e);
+    return null;
+  }
+}
+
+/** 加上這一輪的對話（使用者 + 助理）後存回；太長時把較舊的壓進摘要 */
+export async function saveTurns(ownerId, conversation, newTurns) {
+  let { summary } = conversation;
+  let turns = [...conversation.turns, ...newTurns];
+  if (turns.length > COMPRESS_AT) {
+    const older = turns.slice(0, -KEEP_TURNS);
+    const compressed = await compress(summary, older);
+    if (compressed) {
+      summary = compressed;
+      turns = turns.slice(-KEEP_TURNS);
+    } else {
+      turns = turns.slice(-COMPRESS_AT * 2); // 摘要失敗：原文先留著，下次再壓
+    }
+  }
+  await store.setValue(historyKey(ownerId), { summary, turns });
+}
+
+// ---------------- 相關紀錄 ----------------
+function logTime(log) {
+  return new Date(log.timeISO || log.createdAt).getTime();
+}
+
+/** 問題與紀錄共有的關鍵 bigram 數（不算問句常見字） */
+function matchScore(questionGrams, log) {
+  const text = [log.summary, log.rawText, log.caption, ...(log.main || []), ...(log.tags || [])].join(" ");
+  const grams = bigrams(text);
+  let score = 0;
+  for (const g of questionGrams) if (grams.has(g)) score++;
+  return score;
+}
+
+/**
+ * 與問題相關的紀錄（未撤銷，依時間排序）：
+ * 問題裡的日期範圍內的紀錄、關鍵字相符的紀錄（較新的優先）、最近幾筆
+ */
+export async function findRelevantLogs(ownerId, question, { timeZone = DEFAULT_TIME_ZONE, now = new Date() } = {}) {
+  const logs = (await store.list("logs", { ownerId }))
+    .filter((log) => !log.deleted)
+    .sort((a, b) => logTime(a) - logTime(b));
+  const picked = new Map();
+  const pick = (list) => list.forEach((log) => picked.set(log.id, log));
+
+  const t = parseDateTime(question, { now, timeZone, prefer: "past" });
+  if (t?.hasDate) {
+    pick(
+      logs
+        .filter((log) => logTime(log) >= t.start.getTime() && logTime(log) <= t.end.getTime())
+        .slice(-RANGE_LOG_LIMIT)
+    );
+  }
+
+  const questionGrams = [...bigrams(question)].filter((g) => !STOP_BIGRAMS.has(g));
+  if (questionGrams.length) {
+    pick(
+      logs
+        .map((log) => ({ log, score: matchScore(questionGrams, log) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score || logTime(b.log) - logTime(a.log))
+        .slice(0, MATCH_LOG_LIMIT)
+        .map(({ log }) => log)
+    );
+  }
+
+  pick(logs.slice(-RECENT_LOG_COUNT));
+  return [...picked.values()].sort((a, b) => logTime(a) - logTime(b));
+}
+
+/** 紀錄 → 放進提示詞的一行：#12 10/18 14:00｜佈展｜A. 藝廊工作｜⏱️ 2 小時｜💰 -NT$350 */
+export function logPromptLine(log) {
+  return [
+    `${formatLogId(log)} ${log.timeDisplay || ""}`.trim(),
+    log.summary || "(無摘要)",
+    (log.main || []).join(" + ") || "無",
+    ...(log.tags?.length ? [log.tags.join(" + ")] : []),
+    ...(log.durationMin ? [`⏱️ ${formatDuration(log.durationMin)}`] : []),
+    ...(log.amount != null ? [`💰 ${formatMoney(log, { signed: true })}`] : []),
+  ].join("｜");
+}
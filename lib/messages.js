@@ -0,0 +1,412 @@
+import { describeMoney, formatMoney } from "./money.js";
+
+// =============================================================
+// LINE 訊息組裝：紀錄卡片、總結 carousel、快速回覆
+//  - 超過 LINE 限制時一律退回純文字
+// =============================================================
+
+// LINE Messaging API 限制
+export const LIMITS = {
+  textLength: 5000,
+  altTextLength: 400,
+  messagesPerReply: 5,
+  bubblesPerCarousel: 12,
+  bubbleBytes: 10 * 1024,
+  carouselBytes: 50 * 1024,
+  quickReplyItems: 13,
+  actionLabel: 20,
+};
+
+const SUMMARY_ROWS_PER_BUBBLE = 8;
+
+function truncate(text, max) {
+  const s = String(text ?? "");
+  return s.length > max ? s.slice(0, max - 1) + "…" : s;
+}
+function byteLength(obj) {
+  return Buffer.byteLength(JSON.stringify(obj), "utf8");
+}
+
+/** 紀錄編號：#12 */
+export function formatLogId(log) {
+  return log?.id != null ? `#${log.id}` : "";
+}
+
+/** 分類信心 0~1 → 「60%」 */
+export function formatConfidence(confidence) {
+  return `${Math.round((confidence ?? 1) * 100)}%`;
+}
+
+/** 分鐘 → 「2 小時 30 分」 */
+export function formatDuration(min) {
+  const h = Math.floor(min / 60);
+  const m = Math.round(min % 60);
+  if (!h) return `${m} 分`;
+  return m ? `${h} 小時 ${m} 分` : `${h} 小時`;
+}
+
+// ---------------- 純文字 ----------------
+/** 依 LINE 單則字數上限切成多則文字訊息（最多 5 則，超過截斷） */
+export function textMessages(text) {
+  const chunks = [];
+  let current = "";
+  for (const line of String(text).split("\n")) {
+    const candidate = current ? `${current}\n${line}` : line;
+    if (candidate.length <= LIMITS.textLength) {
+      current = candidate;
+      continue;
+    }
+    if (current) chunks.push(current);
+    current = line;
+    while (current.length > LIMITS.textLength) {
+      chunks.push(current.slice(0, LIMITS.textLength));
+      current = current.slice(LIMITS.textLength);
+    }
+  }
+  chunks.push(current);
+
+  const limited = chunks.slice(0, LIMITS.messagesPerReply);
+  if (chunks.length > limited.length) {
+    const last = limited.length - 1;
+    limited[last] = truncate(limited[last], LIMITS.textLength - 6) + "\n（已截斷）";
+  }
+  return limited.map((t) => ({ type: "text", text: t }));
+}
+
+/** 將 string / message / message[] 統一成 LINE messages 陣列 */
+export function toMessages(reply) {
+  if (typeof reply === "string") return textMessages(reply);
+  return (Array.isArray(reply) ? reply : [reply]).slice(0, LIMITS.messagesPerReply);
+}
+
+// ---------------- Postback ----------------
+/** postback data 一律用 query string：action=undo&id=12 */
+export function postbackData(action, params = {}) {
+  return new URLSearchParams({ action, ...params }).toString();
+}
+export function parsePostbackData(data) {
+  return Object.fromEntries(new URLSearchParams(data || ""));
+}
+
+function postbackAction(label, data, displayText = label) {
+  return { type: "postback", label: truncate(label, LIMITS.actionLabel), data, displayText };
+}
+
+// ---------------- 快速回覆 ----------------
+/**
+ * quick reply；items: [{ label, text }] 點選後送出 text，
+ * 或 [{ label, data, displayText? }] 點選後送出 postback
+ */
+export function quickReply(items) {
+  return {
+    items: items.slice(0, LIMITS.quickReplyItems).map(({ label, text, data, displayText }) => ({
+      type: "action",
+      action: data
+        ? postbackAction(label, data, displayText)
+        : { type: "message", label: truncate(label, LIMITS.actionLabel), text },
+    })),
+  };
+}
+
+/** 主模組清單 → 指定紀錄的「改主模組」快速回覆（最後一項切到輔助分類） */
+export function fixCategoryQuickReply(mainModules, logId) {
+  return quickReply([
+    ...mainModules.map((m) => ({
+      label: m,
+      data: postbackData("setMain", { id: logId, main: m }),
+      displayText: `主模組改為 ${m}`,
+    })),
+    { label: "🏷️ 改輔助分類", data: postbackData("tags", { id: logId }) },
+  ]);
+}
+
+/** 輔助分類清單 → 指定紀錄的切換快速回覆（已選的前面加 ✓） */
+export function tagQuickReply(tagOptions, log) {
+  return quickReply(
+    tagOptions.map((t) => {
+      const on = (log.tags || []).includes(t);
+      return {
+        label: `${on ? "✓ " : ""}${t}`,
+        data: postbackData("toggleTag", { id: log.id, tag: t }),
+        displayText: `${on ? "移除" : "加上"}輔助 ${t}`,
+      };
+    })
+  );
+}
+
+// ---------------- 紀錄卡片 ----------------
+function infoRow(label, value) {
+  return {
+    type: "box",
+    layout: "baseline",
+    spacing: "sm",
+    contents: [
+      { type: "text", text: label, size: "sm", color: "#999999", flex: 2 },
+      { type: "text", text: value || "無", size: "sm", color: "#333333", wrap: true, flex: 5 },
+    ],
+  };
+}
+
+/**
+ * 單筆紀錄 → Flex bubble（附「撤銷」「修正分類」按鈕，needsConfirm 時再加「確認分類」）
+ * heading：例如「🕰️ 已記錄」「📝 補記」；fallbackText：超限時改送的純文字
+ * 按鈕皆為 postback，帶紀錄 id
+ */
+export function buildLogMessage(
+  log,
+  { heading, shortPhrase, fallbackText, mainModules = [], needsConfirm = false }
+) {
+  const buttons = [
+    { style: "secondary", action: postbackAction("撤銷", postbackData("undo", { id: log.id }), "撤銷這筆") },
+    { style: "primary", action: postbackAction("修正分類", postbackData("fix", { id: log.id })) },
+  ];
+  if (needsConfirm) {
+    buttons.push({
+      style: "primary",
+      action: postbackAction("確認分類", postbackData("confirm", { id: log.id })),
+    });
+  }
+
+  const bubble = {
+    type: "bubble",
+    body: {
+      type: "box",
+      layout: "vertical",
+      spacing: "md",
+      contents: [
+        {
+          type: "text",
+          text: `${heading} ${formatLogId(log)}${needsConfirm ? `（分類待確認・信心 ${formatConfidence(log.confidence)}）` : ""}`,
+          size: "sm",
+          color: needsConfirm ? "#E6A23C" : "#1DB446",
+          weight: "bold",
+        },
+        { type: "text", text: log.summary || "(無摘要)", size: "lg", weight: "bold", wrap: true },
+        ...(log.transcript
+          ? [{ type: "text", text: `🎙️「${log.transcript}」`, size: "xs", color: "#999999", wrap: true }]
+          : []),
+        ...(log.imageDescription
+          ? [{ type: "text", text: `🖼️ ${log.imageDescription}`, size: "xs", color: "#999999", wrap: true }]
+          : []),
+        { type: "separator" },
+        {
+          type: "box",
+          layout: "vertical",
+          spacing: "sm",
+          contents: [
+            infoRow("時間", log.timeDisplay),
+            ...(log.durationMin != null
+              ? [infoRow("時長", formatDuration(log.durationMin))]
+              : log.startISO && !log.endISO
+              ? [infoRow("時長", "⏱️ 計時中")]
+              : []),
+            ...(log.amount != null ? [infoRow("收支", describeMoney(log))] : []),
+            infoRow("主模組", (log.main || []).join(" + ")),
+            infoRow("輔助", (log.tags || []).join(" + ")),
+          ],
+        },
+        ...(shortPhrase
+          ? [{ type: "text", text: shortPhrase, size: "sm", color: "#666666", wrap: true }]
+          : []),
+      ],
+    },
+    footer: {
+      type: "box",
+      layout: "horizontal",
+      spacing: "sm",
+      contents: buttons.map(({ style, action }) => ({
+        type: "button",
+        style,
+        height: "sm",
+        action,
+      })),
+    },
+  };
+
+  if (byteLength(bubble) > LIMITS.bubbleBytes) return textMessages(fallbackText);
+
+  const message = {
+    type: "flex",
+    altText: truncate(fallbackText, LIMITS.altTextLength),
+    contents: bubble,
+  };
+  if (mainModules.length) message.quickReply = fixCategoryQuickReply(mainModules, log.id);
+  return [message];
+}
+
+/**
+ * 一則訊息記下的多筆紀錄 → 一張合併確認的 bubble（附「撤銷整批」按鈕）
+ * unsureIds：分類信心低的紀錄 id，標上 🤔 並附「修正 #id」快速回覆
+ */
+export function buildBatchMessage(logs, { heading, shortPhrase, fallbackText, batchId, unsureIds = [] }) {
+  const bubble = {
+    type: "bubble",
+    body: {
+      type: "box",
+      layout: "vertical",
+      spacing: "md",
+      contents: [
+        {
+          type: "text",
+          text: `${heading} ${logs.length} 筆${unsureIds.length ? `（${unsureIds.length} 筆分類待確認）` : ""}`,
+          size: "sm",
+          color: unsureIds.length ? "#E6A23C" : "#1DB446",
+          weight: "bold",
+        },
+        ...logs.map((log) => ({
+          type: "box",
+          layout: "vertical",
+          contents: [
+            {
+              type: "text",
+              text: `${formatLogId(log)} ${log.timeDisplay || ""}${unsureIds.includes(log.id) ? " 🤔" : ""}`,
+              size: "xs",
+              color: "#999999",
+            },
+            { type: "text", text: log.summary || "(無摘要)", size: "sm", weight: "bold", wrap: true },
+            {
+              type: "text",
+              text:
+                `${(log.main || []).join(" + ")}｜${(log.tags || []).join(" + ") || "無"}` +
+                (log.durationMin != null ? `｜⏱️ ${formatDuration(log.durationMin)}` : "") +
+                (log.amount != null ? `｜💰 ${formatMoney(log, { signed: true })}` : ""),
+              size: "xs",
+              color: "#666666",
+              wrap: true,
+            },
+          ],
+        })),
+        ...(shortPhrase
+          ? [{ type: "separator" }, { type: "text", text: shortPhrase, size: "sm", color: "#666666", wrap: true }]
+          : []),
+      ],
+    },
+    footer: {
+      type: "box",
+      layout: "horizontal",
+      contents: [
+        {
+          type: "button",
+          style: "secondary",
+          height: "sm",
+          action: postbackAction("撤銷整批", postbackData("undoBatch", { batch: batchId }), "撤銷整批"),
+        },
+      ],
+    },
+  };
+
+  if (byteLength(bubble) > LIMITS.bubbleBytes) return textMessages(fallbackText);
+
+  const message = {
+    type: "flex",
+    altText: truncate(fallbackText, LIMITS.altTextLength),
+    contents: bubble,
+  };
+  if (unsureIds.length) {
+    message.quickReply = quickReply(unsureIds.map((id) => ({ label: `修正 #${id}`, text: `修正 #${id}` })));
+  }
+  return [message];
+}
+
+// ---------------- 總結 carousel ----------------
+function statsBubble(title, stats, total, durations, tagStats) {
+  const entries = Object.entries(stats || {});
+  const tagEntries = Object.entries(tagStats || {});
+  return {
+    type: "bubble",
+    body: {
+      type: "box",
+      layout: "vertical",
+      spacing: "md",
+      contents: [
+        { type: "text", text: `📊 ${title}`, weight: "bold", size: "lg", wrap: true },
+        { type: "text", text: `共 ${total} 筆`, size: "sm", color: "#999999" },
+        { type: "separator" },
+        { type: "text", text: "📈 主模組統計", size: "sm", weight: "bold" },
+        ...(entries.length
+          ? entries.map(([k, v]) =>
+              infoRow(
+                k,
+                durations?.byModule[k]
+                  ? `${v} 筆｜${formatDuration(durations.byModule[k])}`
+                  : `${v} 筆`
+              )
+            )
+          : [{ type: "text", text: "（沒有紀錄）", size: "sm", color: "#999999" }]),
+        ...(durations?.total
+          ? [infoRow("⏱️ 總時數", formatDuration(durations.total))]
+          : []),
+        ...(tagEntries.length
+          ? [
+              { type: "separator" },
+              { type: "text", text: "🏷️ 輔助分類", size: "sm", weight: "bold" },
+              ...tagEntries.map(([k, v]) => infoRow(k, `${v} 筆`)),
+            ]
+          : []),
+      ],
+    },
+  };
+}
+
+function rowsBubble(rows, offset) {
+  return {
+    type: "bubble",
+    body: {
+      type: "box",
+      layout: "vertical",
+      spacing: "md",
+      contents: rows.map((log, i) => ({
+        type: "box",
+        layout: "vertical",
+        contents: [
+          {
+            type: "text",
+            text: `${offset + i + 1}. ${formatLogId(log)} ${log.timeDisplay || ""}`,
+            size: "xs",
+            color: "#999999",
+          },
+          { type: "text", text: log.summary || "(無摘要)", size: "sm", weight: "bold", wrap: true },
+          {
+            type: "text",
+            text:
+              `${(log.main || []).join(" + ")}｜${(log.tags || []).join(" + ") || "無"}` +
+              (log.durationMin ? `｜⏱️ ${formatDuration(log.durationMin)}` : "") +
+              (log.amount != null ? `｜💰 ${formatMoney(log, { signed: true })}` : ""),
+            size: "xs",
+            color: "#666666",
+            wrap: true,
+          },
+        ],
+      })),
+    },
+  };
+}
+
+/**
+ * 總結 → carousel（第一張統計，其後每張列出數筆紀錄）
+ * rows：[{ timeDisplay, summary, main[], tags[] }]、stats：{ 主模組: 筆數 }
+ * durations：{ total, byModule: { 主模組: 分鐘 } }、tagStats：{ 輔助分類: 筆數 }（皆可省略）
+ */
+export function buildSummaryMessage({ title, rows, stats, tagStats, durations, fallbackText }) {
+  const bubbles = [statsBubble(title, stats, rows.length, durations, tagStats)];
+  for (let i = 0; i < rows.length; i += SUMMARY_ROWS_PER_BUBBLE) {
+    bubbles.push(rowsBubble(rows.slice(i, i + SUMMARY_ROWS_PER_BUBBLE), i));
+  }
+
+  const carousel = { type: "carousel", contents: bubbles };
+  if (
+    bubbles.length > LIMITS.bubblesPerCarousel ||
+    bubbles.some((b) => byteLength(b) > LIMITS.bubbleBytes) ||
+    byteLength(carousel) > LIMITS.carouselBytes
+  ) {
+    return textMessages(fallbackText);
+  }
+
+  return [
+    {
+      type: "flex",
+      altText: truncate(`📊 ${title}（${rows.length} 筆）`, LIMITS.altTextLength),
+      contents: carousel,
+    },
+  ];
+}
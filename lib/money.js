@@ -0,0 +1,150 @@
+// =============================================================
+// 金額擷取（收支紀錄）
+//  - 「買顏料 350元」「計程車 NT$180」「展位費 1.2萬」「機票 USD 320」「寄賣分潤收到 2,400」
+//  - 有寫幣別（元、塊、NT$、$、美金、日圓…）的金額一律算，同一則有多筆同幣別金額時加總
+//  - 沒寫幣別的數字要搭配收支用語（收到、付、花、買、分潤…），且不是時間、日期、時長或數量（後面直接接中文字的一律不算）
+//  - 方向：最先出現的收支用語決定；收入用語（收到、入帳、分潤、賣出…）→ income，其餘 → expense
+//  - 只寫「元」「塊」「$」的金額為預設幣別 DEFAULT_CURRENCY（預設 TWD）
+// parseMoney(text) → { amount, currency, direction } | null
+// =============================================================
+
+export const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || "TWD").toUpperCase();
+
+// 幣別：代碼 → 顯示符號、寫在數字前 / 後的寫法（null 代表預設幣別）
+const CURRENCIES = [
+  { code: "TWD", symbol: "NT$", prefix: ["NT$", "NTD", "TWD", "台幣", "新台幣"], suffix: ["台幣", "NTD", "TWD"] },
+  { code: "USD", symbol: "US$", prefix: ["US$", "USD", "美金"], suffix: ["美元", "美金", "USD"] },
+  { code: "JPY", symbol: "¥", prefix: ["JPY", "日幣", "¥", "￥"], suffix: ["日圓", "日元", "日幣", "円", "JPY"] },
+  { code: "EUR", symbol: "€", prefix: ["EUR", "€"], suffix: ["歐元", "EUR"] },
+  { code: "HKD", symbol: "HK$", prefix: ["HK$", "HKD", "港幣"], suffix: ["港幣", "港元", "HKD"] },
+  { code: "CNY", symbol: "CN¥", prefix: ["RMB", "CNY", "人民幣"], suffix: ["人民幣", "RMB", "CNY"] },
+  { code: null, prefix: ["$", "＄"], suffix: ["元", "塊錢", "塊", "圓"] },
+];
+
+const INCOME_WORDS = [
+  "收到", "收入", "入帳", "進帳", "分潤", "賣出", "賣了", "售出", "賺", "薪水", "薪資",
+  "稿費", "酬勞", "退款", "退費", "收款", "匯入", "獎金", "營收", "收回",
+];
+const EXPENSE_WORDS = [
+  "買", "付", "花", "繳", "支出", "訂", "費", "罰", "捐", "請客", "匯給", "轉給", "加值", "儲值", "租",
+];
+
+// 數字 + 萬 / 千 / k；「3萬8」「3萬8千」「1千5」的尾數也算在內（單位群組連同尾數一起擷取）
+const NUMBER = "(\\d{1,3}(?:,\\d{3})+|\\d+(?:\\.\\d+)?)\\s*(萬(?:\\d千|\\d{1,4}(?!\\d))?|千(?:\\d{1,3}(?!\\d))?|[kK])?";
+const escape = (s) => s.replace(/[$.*+?^()|[\]{}\\]/g, "\\$&");
+const alternation = (words) => [...words].sort((a, b) => b.length - a.length).map(escape).join("|");
+
+const PREFIXES = CURRENCIES.flatMap(({ code, prefix }) => prefix.map((word) => ({ word, code })));
+const SUFFIXES = CURRENCIES.flatMap(({ code, suffix }) => suffix.map((word) => ({ word, code })));
+const PREFIX_RE = new RegExp(`(${alternation(PREFIXES.map((p) => p.word))})\\s*${NUMBER}`, "gi");
+const SUFFIX_RE = new RegExp(`${NUMBER}\\s*(${alternation(SUFFIXES.map((s) => s.word))})`, "gi");
+// 沒寫幣別的數字：
+//  - 後面直接接中文字的多半是數量或編號（2碗、2封信、第2批），不算；萬 / 千已算在數字裡，元 / 塊等幣別由 SUFFIX_RE 處理
+//  - 隔著空白的量詞（3 包）、時間日期的一部分、「-數字」（7-11）、接在英文字後（iPhone 15）也不算
+const UNITS = [
+  "點", "時", "小時", "分", "號", "日", "月", "年", "週", "天", "歲", "樓", "公", "幅", "筆",
+  "張", "個", "件", "次", "人", "位", "杯", "份", "本", "包", "支", "瓶", "盒", "雙", "條", "台",
+  "隻", "顆", "片", "罐", "袋", "箱", "組", "套", "頁", "碗", "封", "間", "批", "場", "趟", "種",
+];
+const BARE_RE = new RegExp(
+  `(?<![\\d:/#.\\-~]|[a-zA-Z]\\s*)${NUMBER}(?![\\d:/.%]|\\p{Script=Han}|-\\d|\\s*(?:${UNITS.join("|")}|[a-zA-Z]))`,
+  "gu"
+);
+
+const SCALES = { 萬: 10000, 千: 1000, k: 1000, K: 1000 };
+
+/** 「3」「萬8」→ 38000；尾數只有一位時是下一位（3萬8 = 3萬8千、1千5 = 1千5百），多位照寫（3萬5000） */
+function toNumber(digits, unit = "") {
+  const n = Number(digits.replace(/,/g, ""));
+  const scale = SCALES[unit[0]] || 1;
+  const tail = unit.slice(1).replace("千", "");
+  const extra = !tail ? 0 : tail.length === 1 ? (Number(tail) * scale) / 10 : Number(tail);
+  return Math.round((n * scale + extra) * 100) / 100;
+}
+
+function currencyOf(word, table) {
+  const hit = table.find((item) => item.word.toLowerCase() === word.toLowerCase());
+  return hit?.code || DEFAULT_CURRENCY;
+}
+
+/** 最先出現的收支用語；同一位置取較長的詞（「稿費」優先於「費」） */
+function findDirection(text) {
+  let best = null;
+  for (const [direction, words] of [["income", INCOME_WORDS], ["expense", EXPENSE_WORDS]]) {
+    for (const word of words) {
+      const index = text.indexOf(word);
+      if (index === -1) continue;
+      if (!best || index < best.index || (index === best.index && word.length > best.word.length)) {
+        best = { index, word, direction };
+      }
+    }
+  }
+  return best?.direction || null;
+}
+
+/** 文字中有寫幣別的金額：[{ amount, currency, index }] */
+function findMarkedAmounts(text) {
+  const found = [];
+  const taken = []; // 已被前綴寫法吃掉的範圍，避免「NT$350元」算兩次
+  for (const m of text.matchAll(PREFIX_RE)) {
+    found.push({ amount: toNumber(m[2], m[3]), currency: currencyOf(m[1], PREFIXES), index: m.index });
+    taken.push([m.index, m.index + m[0].length]);
+  }
+  for (const m of text.matchAll(SUFFIX_RE)) {
+    if (taken.some(([from, to]) => m.index < to && m.index + m[0].length > from)) continue;
+    found.push({ amount: toNumber(m[1], m[2]), currency: currencyOf(m[3], SUFFIXES), index: m.index });
+  }
+  return found.sort((a, b) => a.index - b.index);
+}
+
+export function parseMoney(text) {
+  const source = String(text || "");
+  const direction = findDirection(source);
+  const marked = findMarkedAmounts(source).filter((m) => m.amount > 0);
+
+  if (marked.length) {
+    const currency = marked[0].currency;
+    const amount = marked.filter((m) => m.currency === currency).reduce((sum, m) => sum + m.amount, 0);
+    return { amount: Math.round(amount * 100) / 100, currency, direction: direction || "expense" };
+  }
+
+  if (!direction) return null;
+  const bare = [...source.matchAll(BARE_RE)].map((m) => toNumber(m[1], m[2])).find((n) => n > 0);
+  return bare ? { amount: bare, currency: DEFAULT_CURRENCY, direction } : null;
+}
+
+/**
+ * 使用者直接指定的金額（編輯用）：「350」「收入 2400」「支出 USD 20」「1.2萬」。
+ * 沒寫收入 / 支出時沿用 direction；看不懂回傳 null
+ */
+export function parseMoneyInput(text, direction = "expense") {
+  const m = String(text).trim().match(/^(收入|支出)?\s*(.*)$/s);
+  const explicit = m[1] ? (m[1] === "收入" ? "income" : "expense") : null;
+  const marked = findMarkedAmounts(m[2]).filter((a) => a.amount > 0);
+  if (marked.length) {
+    return { amount: marked[0].amount, currency: marked[0].currency, direction: explicit || direction };
+  }
+  const bare = m[2].match(new RegExp(`^${NUMBER}$`));
+  if (!bare || !(toNumber(bare[1], bare[2]) > 0)) return null;
+  return { amount: toNumber(bare[1], bare[2]), currency: DEFAULT_CURRENCY, direction: explicit || direction };
+}
+
+// ---------------- 顯示 ----------------
+/** 1234.5 → 「1,234.5」 */
+function formatNumber(amount) {
+  return Number(amount).toLocaleString("en-US", { maximumFractionDigits: 2 });
+}
+
+/** 金額 + 幣別 → 「NT$2,400」；signed 時支出加「-」、收入加「+」 */
+export function formatMoney({ amount, currency, direction }, { signed = false } = {}) {
+  const symbol = CURRENCIES.find((c) => c.code === currency)?.symbol;
+  const text = symbol ? `${symbol}${formatNumber(amount)}` : `${currency} ${formatNumber(amount)}`;
+  if (!signed) return text;
+  return `${direction === "income" ? "+" : "-"}${text}`;
+}
+
+/** 紀錄上的收支 → 「支出 NT$350」；沒有金額回傳 "" */
+export function describeMoney(log) {
+  if (log?.amount == null) return "";
+  return `${log.direction === "income" ? "收入" : "支出"} ${formatMoney(log)}`;
+}
@@ -0,0 +1,61 @@
+import { getStore } from "./store.js";
+import { DEFAULT_TIME_ZONE, nowUtcISO } from "./time.js";
+
+// =============================================================
+// Owner（使用者 / 群組 / 聊天室）清單與推播設定
+// owners 集合：{ id, ownerId, createdAt, optOut, quietStart, quietEnd, timeZone?,
+//               active?（被封鎖 / 退出群組時為 false）, inactiveReason?（unfollow / leave）, inactiveSince?,
+//               lastDigestDate?, lastWeeklyDate?, lastNudgeAt? }
+// 勿擾時段、每日總結時間與日 / 週 / 月的界線都以 owner 的時區計算
+// =============================================================
+
+const store = getStore();
+
+export async function getOwner(ownerId) {
+  return (await store.list("owners", { ownerId }))[0] || null;
+}
+
+/** 第一次收到事件時建立 owner，供排程推播列舉 */
+export async function ensureOwner(ownerId) {
+  const existing = await getOwner(ownerId);
+  if (existing) return existing;
+  return store.insert("owners", {
+    ownerId,
+    createdAt: nowUtcISO(),
+    active: true,
+    optOut: false,
+    quietStart: null,
+    quietEnd: null,
+  });
+}
+
+export async function updateOwner(ownerId, patch) {
+  const owner = await ensureOwner(ownerId);
+  return store.update("owners", owner.id, patch);
+}
+
+export async function listOwners() {
+  return store.list("owners");
+}
+
+/** owner 的時區（IANA 名稱）；沒設定過用預設 */
+export function ownerTimeZone(owner) {
+  return owner?.timeZone || DEFAULT_TIME_ZONE;
+}
+
+export async function getTimeZone(ownerId) {
+  return ownerTimeZone(await getOwner(ownerId));
+}
+
+/** 勿擾時段（整點，owner 的時區）；quietStart > quietEnd 代表跨午夜，例如 23–8 */
+export function isQuietHour(owner, hour) {
+  const { quietStart: s, quietEnd: e } = owner;
+  if (s == null || e == null || s === e) return false;
+  return s < e ? hour >= s && hour < e : hour >= s || hour < e;
+}
+
+export function describePushSettings(owner) {
+  const quiet =
+    owner.quietStart == null ? "未設定" : `${owner.quietStart}:00–${owner.quietEnd}:00`;
+  return `🔔 推播：${owner.optOut ? "已關閉" : "開啟中"}\n🌙 勿擾時段：${quiet}\n🌐 時區：${ownerTimeZone(owner)}`;
+}
@@ -0,0 +1,185 @@
+import { complete } from "./llm.js";
+import { parseDateTime } from "./datetime.js";
+import { formatDuration } from "./messages.js";
+import { formatMoney } from "./money.js";
+import { countByCategory, fetchLocalSummary, sumDurations, sumMoney } from "./summary.js";
+import { DEFAULT_TIME_ZONE, zonedParts } from "./time.js";
+
+// =============================================================
+// 回顧：一週 / 一個月的紀錄 → 短篇敘述 + 可核對的數據
+//  - 與前一期比較：週 → 前一週、月 → 前一個月、其他 → 緊接在前、同樣長度的期間
+//  - 本期還沒結束時只比到同樣經過的時間（週三回顧本週 → 比前一週的週一到週三同一時刻）
+//  - 數字全部在本地算好；GPT（task: review）只負責把數字寫成敘述，不可自行推算
+// =============================================================
+
+const DAY_PARTS = [
+  { name: "凌晨", from: 0, to: 6 },
+  { name: "上午", from: 6, to: 12 },
+  { name: "下午", from: 12, to: 18 },
+  { name: "晚上", from: 18, to: 24 },
+];
+const PART_WORDS = /\d:\d\d|凌晨|清晨|早上|早晨|上午|中午|下午|傍晚|晚上|半夜|深夜/;
+
+const REVIEW_RULES = `請用繁體中文寫一段 150–250 字的回顧，依序談：
+- 時間主要花在哪些主模組（有計時就看時數，沒有就看筆數）
+- 和前一期相比明顯變少或完全沒碰的主模組（可能被忽略了）
+- 一天之中不同時段的模式（例如上午多在做什麼、晚上是否常工作）
+- 最後一句溫和、具體的建議
+只能使用提供的數字，不要自行推算或捏造；本期還沒結束時要說明是「到目前為止」。
+不要條列、不要標題、不要用 ** 粗體。`;
+
+// ---------------- 期間 ----------------
+/**
+ * 比較用的前一期：{ start, end, label }。
+ * range：resolveSummaryRange 的結果（{ start, end, precision }）；本期尚未結束時前一期截到同樣經過的時間
+ */
+export function previousPeriod({ start, end, precision }, { timeZone = DEFAULT_TIME_ZONE, now = new Date() } = {}) {
+  const elapsed = Math.min(end.getTime(), now.getTime()) - start.getTime();
+  let prev;
+  if (precision === "week" || precision === "month") {
+    const word = precision === "week" ? "本週" : "本月";
+    const range = parseDateTime(word, { now: new Date(start.getTime() - 1), timeZone });
+    prev = { start: range.start, end: range.end, label: precision === "week" ? "前一週" : "前一個月" };
+  } else {
+    const length = end.getTime() - start.getTime();
+    prev = { start: new Date(start.getTime() - length - 1), end: new Date(start.getTime() - 1), label: "前一期" };
+  }
+  const cut = new Date(Math.min(prev.end.getTime(), prev.start.getTime() + elapsed));
+  return { ...prev, end: cut };
+}
+
+// ---------------- 統計 ----------------
+/** 紀錄有明確的時刻（補記只寫日期的不算進時段分布） */
+function hasClockTime(row) {
+  return row.type !== "backlog" || (row.timeISO && PART_WORDS.test(row.timeDisplay || ""));
+}
+
+/** 一段期間的數字：筆數、天數、主模組筆數 / 時數、時段分布、收支 */
+export function periodFacts(rows, timeZone = DEFAULT_TIME_ZONE) {
+  const { stats } = countByCategory(rows);
+  const durations = sumDurations(rows);
+  const dayParts = Object.fromEntries(DAY_PARTS.map(({ name }) => [name, { count: 0, modules: {} }]));
+  const days = new Set();
+
+  for (const row of rows) {
+    const parts = zonedParts(new Date(row.timeISO || row.createdAt), timeZone);
+    days.add(`${parts.year}-${parts.month}-${parts.day}`);
+    if (!hasClockTime(row)) continue;
+    const bucket = dayParts[DAY_PARTS.find(({ from, to }) => parts.hour >= from && parts.hour < to).name];
+    bucket.count += 1;
+    for (const m of row.main || []) bucket.modules[m] = (bucket.modules[m] || 0) + 1;
+  }
+
+  return {
+    count: rows.length,
+    activeDays: days.size,
+    modules: stats,
+    minutes: durations.total,
+    minutesByModule: durations.byModule,
+    dayParts,
+    money: sumMoney(rows),
+  };
+}
+
+/** 各主模組本期 vs 前一期；依本期時數、筆數排序 */
+export function compareModules(current, previous) {
+  const names = new Set([...Object.keys(current.modules), ...Object.keys(previous.modules)]);
+  return [...names]
+    .map((module) => ({
+      module,
+      count: current.modules[module] || 0,
+      prevCount: previous.modules[module] || 0,
+      minutes: current.minutesByModule[module] || 0,
+      prevMinutes: previous.minutesByModule[module] || 0,
+    }))
+    .map((row) => ({ ...row, neglected: row.prevCount > 0 && row.count <= row.prevCount / 2 }))
+    .sort((a, b) => b.minutes - a.minutes || b.count - a.count);
+}
+
+// ---------------- 組回覆 ----------------
+function topModule(modules) {
+  const [name] = Object.entries(modules).sort((a, b) => b[1] - a[1])[0] || [];
+  return name;
+}
+
+function moneyLine(money) {
+  return Object.entries(money)
+    .map(([currency, { expense, income }]) =>
+      [
+        ...(expense ? [`支出 ${formatMoney({ amount: expense, currency })}`] : []),
+        ...(income ? [`收入 ${formatMoney({ amount: income, currency })}`] : []),
+      ].join("｜")
+    )
+    .join("；");
+}
+
+/** 可核對的數據（與敘述一起回覆） */
+export function describeReviewNumbers(title, label, current, previous, modules) {
+  const minutes = (min) => (min ? formatDuration(min) : "0 分");
+  const lines = [
+    `📐 ${title} 數據（對照${label}）`,
+    `紀錄 ${current.count} 筆／${current.activeDays} 天（${label} ${previous.count} 筆／${previous.activeDays} 天）`,
+  ];
+  if (current.minutes || previous.minutes) {
+    lines.push(`計時 ${minutes(current.minutes)}（${label} ${minutes(previous.minutes)}）`);
+  }
+  lines.push("", "📂 主模組：");
+  for (const m of modules) {
+    lines.push(
+      `${m.neglected ? "⚠️" : "・"}${m.module}：${m.count} 筆（${m.prevCount}）` +
+        (m.minutes || m.prevMinutes ? `｜${minutes(m.minutes)}（${minutes(m.prevMinutes)}）` : "")
+    );
+  }
+  lines.push("", "🕐 時段：");
+  for (const [name, { count, modules: byModule }] of Object.entries(current.dayParts)) {
+    lines.push(`・${name} ${count} 筆${count ? `（最多：${topModule(byModule)}）` : ""}`);
+  }
+  const money = moneyLine(current.money);
+  if (money) lines.push("", `💰 ${money}${moneyLine(previous.money) ? `（${label} ${moneyLine(previous.money)}）` : ""}`);
+  lines.push("", `括號內為${label}；⚠️ 為比${label}少一半以上的主模組`);
+  return lines.join("\n");
+}
+
+async function writeNarrative(persona, facts) {
+  try {
+    const r = await complete("review", [
+      { role: "system", content: `${persona}\n任務指令：\n${REVIEW_RULES}` },
+      { role: "user", content: JSON.stringify(facts) },
+    ]);
+    return r.text.replace(/\*\*/g, "");
+  } catch (e) {
+    console.error("[GPT 回顧錯誤]", e);
+    return "（暫時無法產生回顧文字，以下是這段期間的數據）";
+  }
+}
+
+/**
+ * 回顧回覆：[敘述, 數據] 兩則文字訊息；本期沒有紀錄時回傳一段文字
+ * range：resolveSummaryRange 的結果；persona：SYSTEM_MESSAGE 人設
+ */
+export async function buildReview(ownerId, range, { persona, timeZone = DEFAULT_TIME_ZONE, now = new Date() }) {
+  const end = new Date(Math.min(range.end.getTime(), now.getTime()));
+  const prev = previousPeriod(range, { timeZone, now });
+  const [{ rows }, { rows: prevRows }] = await Promise.all([
+    fetchLocalSummary(ownerId, range.start, end),
+    fetchLocalSummary(ownerId, prev.start, prev.end),
+  ]);
+  if (!rows.length) return `📖 ${range.title}\n（沒有紀錄，無法回顧）`;
+
+  const current = periodFacts(rows, timeZone);
+  const previous = periodFacts(prevRows, timeZone);
+  const modules = compareModules(current, previous);
+  const narrative = await writeNarrative(persona, {
+    period: range.title,
+    comparedWith: prev.label,
+    inProgress: end < range.end,
+    current,
+    previous,
+    modules,
+  });
+
+  return [
+    { type: "text", text: `📖 ${range.title}\n\n${narrative}` },
+    { type: "text", text: describeReviewNumbers(range.title, prev.label, current, previous, modules) },
+  ];
+}
@@ -0,0 +1,41 @@
+// =============================================================
+// 文字指令路由
+//  - 每個指令宣告：name、usage、description、patterns、run
+//  - patterns 同時是觸發條件與參數文法：依序比對，第一個命中的指令勝出，
+//    regex 的具名群組即為 args
+//  - 自動加上「說明 / help」指令，內容由所有指令的 usage + description 產生
+// =============================================================
+
+/**
+ * commands：[{ name, usage, description, patterns: RegExp[], run(ctx) }]
+ * ctx：{ ownerId, text, args }；run 回傳回覆（字串或 messages）
+ * helpFooter：說明最後附加的一段文字（例如非指令訊息的處理方式）
+ */
+export function createRouter(commands, { helpFooter = "" } = {}) {
+  const help = {
+    name: "help",
+    usage: "說明 / help",
+    description: "列出所有指令",
+    patterns: [/^(?:說明|help|幫助)$/i],
+    run: () => helpText(),
+  };
+  const all = [...commands, help];
+
+  function helpText() {
+    const lines = all.map((c) => `・${c.usage}\n　${c.description}`);
+    return `📖 可用指令\n\n${lines.join("\n")}${helpFooter ? `\n\n${helpFooter}` : ""}`;
+  }
+
+  /** 回傳 { command, args }；沒有指令命中回傳 null */
+  function match(text) {
+    for (const command of all) {
+      for (const pattern of command.patterns) {
+        const m = text.match(pattern);
+        if (m) return { command, args: { ...m.groups } };
+      }
+    }
+    return null;
+  }
+
+  return { commands: all, match, helpText };
+}
@@ -0,0 +1,69 @@
+// =============================================================
+// 精簡版 JSON Schema 驗證（LLM 結構化輸出用）
+// 支援：type（object / array / string / number / integer / boolean / null，可寫成陣列）、
+//       properties、required、additionalProperties: false、items、minItems、maxItems、
+//       enum、minimum、maximum、minLength、maxLength
+// =============================================================
+
+function matchesType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return typeof value === "object" && value !== null && !Array.isArray(value);
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/** 回傳錯誤訊息陣列（空陣列代表通過）；path 標示位置，例如 $.main[0] */
+export function validateSchema(schema, value, path = "$") {
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => matchesType(value, t))) return [`${path} 應為 ${types.join(" | ")}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} 只能是 ${schema.enum.map((v) => JSON.stringify(v)).join(" / ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path} 不可小於 ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path} 不可大於 ${schema.maximum}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${path} 至少 ${schema.minLength} 字`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${path} 最多 ${schema.maxLength} 字`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path} 至少 ${schema.minItems} 項`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path} 最多 ${schema.maxItems} 項`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+    }
+  }
+
+  if (matchesType(value, "object")) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} 必填`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validateSchema(sub, value[key], `${path}.${key}`));
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties?.[key]) errors.push(`${path}.${key} 不是允許的欄位`);
+      }
+    }
+  }
+  return errors;
+}
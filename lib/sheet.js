@@ -0,0 +1,227 @@
+import { createHmac, randomUUID } from "node:crypto";
+import { getStore } from "./store.js";
+import { DEFAULT_TIME_ZONE, nowUtcISO, zonedDisplay } from "./time.js";
+
+// =============================================================
+// Google Sheet（Apps Script）客戶端
+//  - 本地儲存為準；SHEET_WEBHOOK_URL 未設定時一律略過
+//  - 異動（append / delete / restore / update）先寫入 outbox 再送出，
+//    失敗依指數退避重試（webhook 收到新異動時、排程每小時各補送一次）
+//  - 每個異動帶固定的 idempotencyKey，重試時不變，Apps Script 端可據此去重
+//  - 設定 SHEET_SIGNING_SECRET 時，每個請求附 HMAC-SHA256 簽章
+// =============================================================
+
+const {
+  SHEET_WEBHOOK_URL,
+  SHEET_SIGNING_SECRET,
+  SHEET_TIMEOUT_MS = "8000",
+  SHEET_MAX_ATTEMPTS = "8",
+} = process.env;
+
+const RETRY_BASE_MS = 30 * 1000;       // 第一次重試等 30 秒，之後加倍
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000; // 最多等 6 小時
+const READ_RETRIES = 2;                // summary 等讀取請求當下重試次數
+
+// sheetOutbox 集合：{ id, ownerId, action, payload, idempotencyKey, status: pending|failed,
+//                    attempts, nextAttemptAt, lastError, createdAt }
+const store = getStore();
+
+export function isSheetEnabled() {
+  return Boolean(SHEET_WEBHOOK_URL);
+}
+
+// ---------------- 簽章 ----------------
+/**
+ * 簽章內容為 `${timestamp}.${body}`，結果以 hex 放在 X-Sheet-Signature: sha256=<hex>。
+ * Apps Script 的 doPost 讀不到 request header，所以 timestamp / signature 也附在網址參數上
+ */
+function signedRequest(body) {
+  const headers = { "Content-Type": "application/json" };
+  const url = new URL(SHEET_WEBHOOK_URL);
+  if (SHEET_SIGNING_SECRET) {
+    const timestamp = String(Date.now());
+    const signature = createHmac("sha256", SHEET_SIGNING_SECRET)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+    headers["X-Sheet-Timestamp"] = timestamp;
+    headers["X-Sheet-Signature"] = `sha256=${signature}`;
+    url.searchParams.set("timestamp", timestamp);
+    url.searchParams.set("signature", signature);
+  }
+  return { url: url.toString(), headers };
+}
+
+/** 送出一次請求；HTTP 非 2xx 或逾時都視為失敗（丟出錯誤） */
+async function postOnce(payload) {
+  const body = JSON.stringify(payload);
+  const { url, headers } = signedRequest(body);
+  if (payload.idempotencyKey) headers["Idempotency-Key"] = payload.idempotencyKey;
+
+  const resp = await fetch(url, {
+    method: "POST",
+    headers,
+    body,
+    signal: AbortSignal.timeout(Number(SHEET_TIMEOUT_MS)),
+  });
+  const text = await resp.text();
+  if (!resp.ok) throw new Error(`Sheet ${resp.status}: ${text.slice(0, 200)}`);
+  return text;
+}
+
+function retryDelayMs(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// ---------------- 讀取（summary） ----------------
+/** 讀取請求當下重試幾次（短暫退避）；回傳 Sheet 回應文字，全部失敗丟出最後的錯誤 */
+export async function requestSheet(payload) {
+  let lastError;
+  for (let attempt = 0; attempt <= READ_RETRIES; attempt++) {
+    if (attempt) await sleep(500 * 2 ** (attempt - 1));
+    try {
+      return await postOnce(payload);
+    } catch (e) {
+      lastError = e;
+      console.error("[Google Sheet 請求失敗]", payload.action, `第 ${attempt + 1} 次`, e.message);
+    }
+  }
+  throw lastError;
+}
+
+// ---------------- 異動（outbox） ----------------
+// 同一個 owner 的補送排隊進行，維持異動順序、避免同一筆重複送出
+const flushing = new Map();
+
+/**
+ * 送出 owner 到期的待送異動（依建立順序；遇到失敗就停，後面的不能搶先）。
+ * 回傳 { outbox id: Sheet 回應文字 }
+ */
+export function flushOutbox(ownerId) {
+  const run = (flushing.get(ownerId) || Promise.resolve()).then(() => deliverDue(ownerId));
+  flushing.set(ownerId, run.catch(() => {}));
+  return run;
+}
+
+async function deliverDue(ownerId) {
+  const delivered = {};
+  const items = (await store.list("sheetOutbox", { ownerId, status: "pending" })).sort(
+    (a, b) => a.id - b.id
+  );
+  for (const item of items) {
+    if (new Date(item.nextAttemptAt).getTime() > Date.now()) break;
+    try {
+      delivered[item.id] = await postOnce({ ...item.payload, idempotencyKey: item.idempotencyKey });
+      await store.remove("sheetOutbox", item.id);
+    } catch (e) {
+      const attempts = item.attempts + 1;
+      const failed = attempts >= Number(SHEET_MAX_ATTEMPTS);
+      console.error("[Google Sheet 同步失敗]", item.action, `第 ${attempts} 次`, e.message);
+      await store.update("sheetOutbox", item.id, {
+        attempts,
+        status: failed ? "failed" : "pending",
+        nextAttemptAt: new Date(Date.now() + retryDelayMs(attempts)).toISOString(),
+        lastError: e.message,
+      });
+      // 放棄的那筆不再擋住後面；仍在重試中的則要等它先送出
+      if (!failed) break;
+    }
+  }
+  return delivered;
+}
+
+/** 所有 owner 的待送異動（排程呼叫）；回傳 { 送出筆數, 剩餘待送筆數 } */
+export async function flushAllOutboxes() {
+  if (!isSheetEnabled()) return { delivered: 0, pending: 0 };
+  const pending = await store.list("sheetOutbox", { status: "pending" });
+  let delivered = 0;
+  for (const ownerId of new Set(pending.map((item) => item.ownerId))) {
+    delivered += Object.keys(await flushOutbox(ownerId)).length;
+  }
+  return { delivered, pending: pending.length - delivered };
+}
+
+/**
+ * 異動寫入 outbox 後立刻嘗試送出。
+ * 回傳 Sheet 回應文字；未設定回傳 null；失敗（或前面還有待送的）回傳 { queued: true }
+ */
+export async function syncToSheet(payload) {
+  if (!SHEET_WEBHOOK_URL) {
+    console.warn("SHEET_WEBHOOK_URL 未設定，略過同步");
+    return null;
+  }
+  const now = nowUtcISO();
+  const item = await store.insert("sheetOutbox", {
+    ownerId: payload.ownerId,
+    action: payload.action,
+    payload,
+    idempotencyKey: randomUUID(),
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    createdAt: now,
+  });
+  const delivered = await flushOutbox(payload.ownerId);
+  return item.id in delivered ? delivered[item.id] : { queued: true };
+}
+
+/** 把放棄的異動改回待送，下次補送時重新開始計算次數；回傳筆數 */
+export async function retryFailed(ownerId) {
+  const failed = await store.list("sheetOutbox", { ownerId, status: "failed" });
+  for (const item of failed) {
+    await store.update("sheetOutbox", item.id, { status: "pending", attempts: 0, nextAttemptAt: nowUtcISO() });
+  }
+  if (failed.length) await flushOutbox(ownerId);
+  return failed.length;
+}
+
+export function sheetNote(result) {
+  if (result === null) return "";
+  if (result.queued) return "\n🗂️ Sheet 暫時同步失敗，已排入重試（輸入「同步狀態」查看）";
+  return `\n🗂️ Sheet 回應：${result}`;
+}
+
+/** 多筆異動的 Sheet 結果合併成一句（有任何一筆排入重試就提示） */
+export function sheetNotes(results) {
+  const queued = results.find((result) => result?.queued);
+  if (queued) return sheetNote(queued);
+  const synced = results.filter((result) => result !== null).length;
+  return synced ? `\n🗂️ Sheet 已同步 ${synced} 筆` : "";
+}
+
+// ---------------- 同步狀態 ----------------
+const ACTION_NAMES = {
+  append: "新增",
+  delete: "撤銷",
+  restore: "復原",
+  update: "修改",
+};
+
+/** owner 的待送 / 放棄異動 → 給使用者看的文字（重試時間以 timeZone 顯示） */
+export async function describeOutbox(ownerId, timeZone = DEFAULT_TIME_ZONE) {
+  if (!isSheetEnabled()) return "🗂️ 尚未設定 Google Sheet，紀錄只存在本地";
+
+  const items = (await store.list("sheetOutbox", { ownerId })).sort((a, b) => a.id - b.id);
+  if (!items.length) return "🗂️ Sheet 同步狀態：全部已同步 ✅";
+
+  const line = (item) => {
+    const target = item.payload.id != null ? ` #${item.payload.id}` : "";
+    const next = item.status === "pending"
+      ? `｜下次重試 ${zonedDisplay(item.nextAttemptAt, timeZone)}`
+      : "";
+    return `・${ACTION_NAMES[item.action] || item.action}${target}｜已試 ${item.attempts} 次${next}` +
+           (item.lastError ? `\n　${item.lastError}` : "");
+  };
+  const pending = items.filter((item) => item.status === "pending");
+  const failed = items.filter((item) => item.status === "failed");
+
+  return [
+    "🗂️ Sheet 同步狀態",
+    ...(pending.length ? [`\n⏳ 待重試 ${pending.length} 筆`, ...pending.map(line)] : []),
+    ...(failed.length ? [`\n❌ 已放棄 ${failed.length} 筆（超過 ${SHEET_MAX_ATTEMPTS} 次）`, ...failed.map(line), "輸入「同步重試」重新送出"] : []),
+  ].join("\n");
+}
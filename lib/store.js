@@ -0,0 +1,229 @@
+import { mkdir, open, readFile, rename, rm, stat, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+
+// =============================================================
+// 儲存層
+//  - 介面：list / get / insert / update / remove（集合）、getValue / setValue（單值；存 null 等於清除）
+//  - list(collection, where) 可用欄位相等條件過濾，例如 { ownerId }
+//  - memory：存在模組記憶體（測試用，冷啟動會清空）
+//  - file：存成 JSON 檔（STORE_FILE_PATH），重啟後仍保留
+//    多個執行個體（webhook、cron、同時開的多個 webhook）可共用同一個檔案：
+//    每次寫入都在鎖檔（<檔名>.lock）內重新讀檔、修改、寫回，不會蓋掉別人剛寫入的資料；
+//    讀取時檔案有變（inode / 修改時間 / 大小）才重新解析
+//  - webhook 與 cron 必須讀寫同一份資料：正式環境（Vercel / NODE_ENV=production）的 file 模式
+//    一定要設定 STORE_FILE_PATH 指向共用的持久磁碟，否則直接報錯
+//    （Vercel 每個函式各有自己的 /tmp，預設路徑會讓 cron 看不到 webhook 寫入的 owner 與紀錄）
+// =============================================================
+
+// 只給本機開發用
+const DEFAULT_FILE_PATH = "/tmp/line-bot-store.json";
+
+function emptyState() {
+  return { seq: {}, collections: {}, values: {} };
+}
+
+// 回傳複本，避免呼叫端直接改到暫存內容
+function clone(v) {
+  return v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+}
+
+/**
+ * 以一份 state 物件實作儲存介面（其他持久層的 adapter 也可以用這個組出來）。
+ *  - load()：回傳目前的 state（null 代表還沒有資料）；每次讀取、每次寫入前都會呼叫，
+ *    adapter 自行決定是否快取（例如檔案沒變就回傳上次解析的結果）
+ *  - persist(state)：寫入後呼叫
+ *  - lock(fn)：寫入時「讀取 → 修改 → 寫回」在鎖內進行，其他執行個體的寫入才不會被蓋掉；預設不鎖
+ */
+export function createStateStore({ load, persist, lock = (fn) => fn() }) {
+  let reading = null; // 同時的讀取共用同一次載入
+  let queue = Promise.resolve(); // 同一個執行個體內的寫入排隊
+
+  function ready() {
+    reading ||= load()
+      .then((loaded) => loaded || emptyState())
+      .finally(() => {
+        reading = null; // 載入失敗時下次存取再試；成功時下次讀取也重新確認
+      });
+    return reading;
+  }
+
+  function mutate(fn) {
+    const run = queue.then(() =>
+      lock(async () => {
+        // 拿到鎖之後重新載入，改的是最新的內容
+        const s = (await load()) || emptyState();
+        const result = fn(s);
+        await persist(s);
+        return clone(result);
+      })
+    );
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    async list(collection, where = {}) {
+      const s = await ready();
+      const conds = Object.entries(where);
+      return clone(
+        (s.collections[collection] || []).filter((d) =>
+          conds.every(([k, v]) => d[k] === v)
+        )
+      );
+    },
+
+    async get(collection, id) {
+      const s = await ready();
+      return clone((s.collections[collection] || []).find((d) => d.id === id) || null);
+    },
+
+    /** 新增一筆，自動給遞增 id；回傳含 id 的文件 */
+    insert(collection, doc) {
+      return mutate((s) => {
+        const id = (s.seq[collection] || 0) + 1;
+        s.seq[collection] = id;
+        const item = { ...clone(doc), id };
+        (s.collections[collection] ||= []).push(item);
+        return item;
+      });
+    },
+
+    /** 部分更新；找不到回傳 null */
+    update(collection, id, patch) {
+      return mutate((s) => {
+        const item = (s.collections[collection] || []).find((d) => d.id === id);
+        if (!item) return null;
+        Object.assign(item, clone(patch));
+        return item;
+      });
+    },
+
+    remove(collection, id) {
+      return mutate((s) => {
+        const list = s.collections[collection] || [];
+        const idx = list.findIndex((d) => d.id === id);
+        if (idx === -1) return false;
+        list.splice(idx, 1);
+        return true;
+      });
+    },
+
+    /** 沒存過、或存的是 null（清除過）都回傳 fallback */
+    async getValue(key, fallback = null) {
+      const s = await ready();
+      return s.values[key] != null ? clone(s.values[key]) : fallback;
+    },
+
+    setValue(key, value) {
+      return mutate((s) => {
+        s.values[key] = clone(value);
+        return value;
+      });
+    },
+  };
+}
+
+// ---------------- 記憶體 adapter ----------------
+export function createMemoryStore() {
+  const state = emptyState();
+  return createStateStore({
+    load: async () => state,
+    persist: async () => {},
+  });
+}
+
+// ---------------- 檔案 adapter ----------------
+const LOCK_RETRY_MS = 20;
+const LOCK_WAIT_MS = 5000;   // 等鎖最多這麼久
+const LOCK_STALE_MS = 15000; // 鎖檔超過這麼久視為持有者已當掉
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/** 以 O_EXCL 建立鎖檔取得鎖（共用磁碟上的各個執行個體之間也有效），fn 結束後刪除 */
+async function withFileLock(lockPath, fn) {
+  await mkdir(dirname(lockPath), { recursive: true });
+  const started = Date.now();
+  for (;;) {
+    try {
+      await (await open(lockPath, "wx")).close();
+      break;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+      const age = await stat(lockPath).then((info) => Date.now() - info.mtimeMs, () => 0);
+      if (age > LOCK_STALE_MS) {
+        console.warn("[STORE] 移除過期的鎖檔", lockPath);
+        await rm(lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() - started > LOCK_WAIT_MS) throw new Error(`STORE 等待鎖檔逾時：${lockPath}`);
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await rm(lockPath, { force: true });
+  }
+}
+
+export function createFileStore(filePath = DEFAULT_FILE_PATH) {
+  // 上次讀到 / 寫入的檔案版本與內容：檔案沒變就不重新解析
+  let cached = null; // { version, state }
+  const versionOf = (info) => `${info.ino}:${info.mtimeMs}:${info.size}`;
+
+  return createStateStore({
+    async load() {
+      try {
+        const version = versionOf(await stat(filePath));
+        if (cached?.version === version) return cached.state;
+        const state = JSON.parse(await readFile(filePath, "utf8"));
+        cached = { version, state };
+        return state;
+      } catch (e) {
+        if (e.code === "ENOENT") return null; // 還沒有檔案：從空的開始
+        // 檔案壞掉或讀不到：不能當成空的，否則下一次寫入會把原本的資料整個蓋掉
+        console.error("[STORE 讀取錯誤]", e);
+        throw e;
+      }
+    },
+    async persist(state) {
+      // 先寫暫存檔再 rename，避免寫到一半被中斷而毀損
+      try {
+        await mkdir(dirname(filePath), { recursive: true });
+        const tmp = `${filePath}.tmp`;
+        await writeFile(tmp, JSON.stringify(state));
+        await rename(tmp, filePath);
+        cached = { version: versionOf(await stat(filePath)), state };
+      } catch (e) {
+        cached = null; // 快取裡可能是沒寫成功的內容，下次重新讀檔
+        throw e;
+      }
+    },
+    lock: (fn) => withFileLock(`${filePath}.lock`, fn),
+  });
+}
+
+function isProduction(env) {
+  return Boolean(env.VERCEL) || env.NODE_ENV === "production";
+}
+
+/** 依環境變數選擇 adapter：STORE_DRIVER = file（預設）| memory */
+export function createStore(env = process.env) {
+  if (env.STORE_DRIVER === "memory") return createMemoryStore();
+  if (env.STORE_FILE_PATH) return createFileStore(env.STORE_FILE_PATH);
+  if (isProduction(env)) {
+    throw new Error(
+      "STORE_FILE_PATH 未設定：正式環境的 webhook 與 cron 必須共用同一個持久儲存，不能用各函式自己的 /tmp"
+    );
+  }
+  console.warn(`[STORE] 未設定 STORE_FILE_PATH，使用本機開發用的 ${DEFAULT_FILE_PATH}`);
+  return createFileStore(DEFAULT_FILE_PATH);
+}
+
+// 各 route（webhook / cron）共用同一個 store，避免同一個 process 內重複開檔互相覆蓋
+let sharedStore = null;
+export function getStore() {
+  return (sharedStore ||= createStore());
+}
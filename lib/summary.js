@@ -0,0 +1,269 @@
+import { buildSummaryMessage, formatDuration, formatLogId } from "./messages.js";
+import { isSheetEnabled, requestSheet } from "./sheet.js";
+import { getStore } from "./store.js";
+import { parseDateTime } from "./datetime.js";
+import { DEFAULT_TIME_ZONE } from "./time.js";
+import { formatMoney } from "./money.js";
+import { describePlanned, todosInRange } from "./todos.js";
+
+// =============================================================
+// 總結：範圍計算、由本地紀錄統計、組回覆（webhook 與排程推播共用）；帳目（收支）也共用範圍與本地資料
+//  - 以本地 logs 為準；該範圍本地沒有紀錄時才改向 Sheet 取（例如搬到本地儲存前的舊資料）
+//  - 「核對」時另向 Sheet 取一份，比對兩邊的紀錄 id
+// =============================================================
+
+const store = getStore();
+
+// ---------------- 總結範圍（依 owner 的時區） ----------------
+const RANGE_WORDS = { today: "今天", week: "本週", month: "本月", lastWeek: "上週" };
+const RANGE_TITLES = { today: "今日", week: "本週", month: "本月", lastWeek: "上週" };
+const RANGE_PRECISION = { today: "day", week: "week", month: "month", lastWeek: "week" };
+
+// type：today / week / month / lastWeek（上週一～上週日）；回傳 { start, end }（真正的時刻）
+export function getDateRange(type, timeZone = DEFAULT_TIME_ZONE) {
+  const { start, end } = parseDateTime(RANGE_WORDS[type], { timeZone });
+  return { start, end };
+}
+
+/**
+ * 「總結」「帳目」「回顧」指令文字 → { start, end, title, precision }（日期解析見 lib/datetime.js）
+ *  - 10/1-10/15、10/1~15、上週、上個月、昨天、10/3…
+ *  - 只寫「週」「月」：本週 / 本月；什麼都沒寫為 fallback（today / week / month）
+ *  - label：標題後綴，例如「今日總結」「本月帳目」
+ */
+export function resolveSummaryRange(text, timeZone = DEFAULT_TIME_ZONE, { label = "總結", fallback = "today" } = {}) {
+  const query = text.replace(/總結|核對|帳目|回顧/g, " ");
+  const t = parseDateTime(query, { prefer: "past", timeZone });
+  const titled = (type) => ({
+    ...getDateRange(type, timeZone),
+    title: `${RANGE_TITLES[type]}${label}`,
+    precision: RANGE_PRECISION[type],
+  });
+
+  if (!t || !t.hasDate) {
+    if (query.includes("週")) return titled("week");
+    if (query.includes("月")) return titled("month");
+    return titled(fallback);
+  }
+
+  const same = (type) => getDateRange(type, timeZone).start.getTime() === t.start.getTime();
+  let title = `${t.display} ${label}`;
+  if (t.precision === "day") title = same("today") ? `今日${label}` : `${t.display} 單日${label}`;
+  if (t.precision === "week" && same("week")) title = `本週${label}`;
+  if (t.precision === "week" && same("lastWeek")) title = `上週${label}`;
+  if (t.precision === "month" && same("month")) title = `本月${label}`;
+  return { start: t.start, end: t.end, title, precision: t.precision };
+}
+
+// ---------------- 本地統計 ----------------
+function logTime(log) {
+  return new Date(log.timeISO || log.createdAt).getTime();
+}
+
+/** 依主模組 / 輔助分類計數：{ stats, tagStats } */
+export function countByCategory(rows) {
+  const stats = {};
+  const tagStats = {};
+  for (const row of rows) {
+    for (const m of row.main || []) stats[m] = (stats[m] || 0) + 1;
+    for (const t of row.tags || []) tagStats[t] = (tagStats[t] || 0) + 1;
+  }
+  return { stats, tagStats };
+}
+
+/** 本地紀錄（未撤銷、時間落在範圍內，依時間排序）→ { rows, stats, tagStats } */
+export async function fetchLocalSummary(ownerId, start, end) {
+  const from = start.getTime();
+  const to = end.getTime();
+  const rows = (await store.list("logs", { ownerId }))
+    .filter((log) => !log.deleted && logTime(log) >= from && logTime(log) <= to)
+    .sort((a, b) => logTime(a) - logTime(b));
+  return { rows, ...countByCategory(rows) };
+}
+
+/**
+ * 總結資料：本地為主；本地沒有紀錄時改用 Sheet。
+ * crossCheck：另向 Sheet 取一份比對，結果放在 result.crossCheck
+ * 回傳 { rows, stats, tagStats, source: "local" | "sheet", crossCheck?, todos }（todos：範圍內的待辦，見 lib/todos.js）
+ */
+export async function getSummary(ownerId, start, end, options = {}) {
+  const result = await summarizeLogs(ownerId, start, end, options);
+  return { ...result, todos: await todosInRange(ownerId, start, end) };
+}
+
+async function summarizeLogs(ownerId, start, end, { crossCheck = false }) {
+  const local = { ...(await fetchLocalSummary(ownerId, start, end)), source: "local" };
+  if (!isSheetEnabled() || (local.rows.length && !crossCheck)) return local;
+
+  const sheet = await fetchSheetSummary(ownerId, start, end);
+  if (!local.rows.length && !crossCheck) {
+    // 本地沒有 → Sheet 當備援；Sheet 也不行就照本地（空的）回
+    if (sheet.error || !sheet.rows?.length) return local;
+    const counted = countByCategory(sheet.rows);
+    return { ...sheet, stats: sheet.stats || counted.stats, tagStats: counted.tagStats, source: "sheet" };
+  }
+
+  if (sheet.error) return { ...local, crossCheck: { error: sheet.error } };
+  const localIds = new Set(local.rows.map((row) => row.id));
+  const sheetIds = new Set((sheet.rows || []).map((row) => row.id));
+  return {
+    ...local,
+    crossCheck: {
+      sheetCount: sheetIds.size,
+      missingInSheet: [...localIds].filter((id) => !sheetIds.has(id)),
+      onlyInSheet: [...sheetIds].filter((id) => id != null && !localIds.has(id)),
+    },
+  };
+}
+
+// ---------------- 向 Sheet 取總結 ----------------
+/** 回傳 { rows, stats }；失敗時回傳 { error: 給使用者看的訊息 } */
+export async function fetchSheetSummary(ownerId, start, end) {
+  if (!isSheetEnabled()) return { error: "⚠️ 尚未設定 Google Sheet，無法總結" };
+
+  let text;
+  try {
+    // 🔎 呼叫 Google Sheet summary（失敗會當下重試幾次）
+    text = await requestSheet({
+      action: "summary",
+      ownerId,
+      start: start.toISOString(),
+      end: end.toISOString()
+    });
+  } catch (e) {
+    console.error("[Google Sheet 總結錯誤]", e);
+    return { error: "⚠️ 總結失敗，請檢查 Sheet Webhook" };
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    console.error("[總結解析錯誤]", text);
+    return { error: "⚠️ 總結回傳格式錯誤，請檢查 Sheet Apps Script" };
+  }
+}
+
+/** 依主模組加總時長（分鐘）：{ total, byModule } */
+export function sumDurations(rows) {
+  const byModule = {};
+  let total = 0;
+  for (const row of rows) {
+    const min = Number(row.durationMin) || 0;
+    if (!min) continue;
+    total += min;
+    for (const m of row.main || []) byModule[m] = (byModule[m] || 0) + min;
+  }
+  return { total, byModule };
+}
+
+// ---------------- 組回覆 ----------------
+function crossCheckNote({ error, sheetCount, missingInSheet, onlyInSheet }) {
+  if (error) return `🔍 無法與 Sheet 核對：${error}`;
+  const ids = (list) => list.map((id) => `#${id}`).join(" ");
+  if (!missingInSheet.length && !onlyInSheet.length) return `🔍 與 Sheet 核對：一致（${sheetCount} 筆）`;
+  return [
+    `🔍 與 Sheet 核對：Sheet 有 ${sheetCount} 筆`,
+    ...(missingInSheet.length ? [`Sheet 缺少：${ids(missingInSheet)}`] : []),
+    ...(onlyInSheet.length ? [`只在 Sheet：${ids(onlyInSheet)}`] : []),
+  ].join("\n");
+}
+
+/** { rows, stats, tagStats, source, crossCheck?, todos? } → { text, messages }（沒有紀錄時 messages 為 null） */
+export function buildSummaryReply(title, result) {
+  if (result.source === "sheet") title = `${title}（來源：Sheet）`;
+  const note = [describePlanned(result.todos), result.crossCheck ? crossCheckNote(result.crossCheck) : ""]
+    .filter(Boolean)
+    .join("\n\n");
+
+  if (!result.rows || !result.rows.length) {
+    return { text: `📊 ${title}\n（沒有紀錄）${note ? `\n\n${note}` : ""}`, messages: null };
+  }
+
+  // 清單
+  const list = result.rows.map(
+    (log, i) =>
+      `${i + 1}. ${log.id != null ? `${formatLogId(log)} ` : ""}${log.timeDisplay}｜${log.summary}｜${log.main.join(" + ")}｜${log.tags.join(" + ") || "無"}` +
+      (log.durationMin ? `｜⏱️ ${formatDuration(log.durationMin)}` : "") +
+      (log.amount != null ? `｜💰 ${formatMoney(log, { signed: true })}` : "")
+  );
+
+  // 主模組統計（有計時的紀錄另外加總時數）
+  const durations = sumDurations(result.rows);
+  const statLines = Object.entries(result.stats).map(([k, v]) =>
+    durations.byModule[k]
+      ? `${k}: ${v} 筆｜${formatDuration(durations.byModule[k])}`
+      : `${k}: ${v} 筆`
+  );
+  if (durations.total) {
+    statLines.push(`⏱️ 總時數：${formatDuration(durations.total)}`);
+  }
+  const tagLines = Object.entries(result.tagStats || {}).map(([k, v]) => `${k}: ${v} 筆`);
+
+  const text = `📊 ${title}\n\n${list.join("\n")}\n\n📈 主模組統計：\n${statLines.join("\n")}` +
+               (tagLines.length ? `\n\n🏷️ 輔助分類：\n${tagLines.join("\n")}` : "") +
+               (note ? `\n\n${note}` : "");
+  const messages = buildSummaryMessage({
+    title,
+    rows: result.rows,
+    stats: result.stats,
+    tagStats: result.tagStats,
+    durations,
+    fallbackText: text,
+  });
+  // 卡片放不下待辦與核對結果，另補一則文字（純文字退回時 text 已含在內）
+  if (note && messages[0]?.type === "flex") messages.push({ type: "text", text: note });
+  return { text, messages };
+}
+
+// ---------------- 帳目 ----------------
+const LEDGER_LIST_LIMIT = 40; // 明細最多列幾筆（最新的），加總仍含全部
+
+/**
+ * 有金額的紀錄依幣別、主模組加總：
+ * { [幣別]: { expense, income, byModule: { [主模組]: { expense, income } } } }
+ * 一筆紀錄有多個主模組時只算在第一個，避免重複加總
+ */
+export function sumMoney(rows) {
+  const totals = {};
+  for (const row of rows) {
+    if (row.amount == null) continue;
+    const key = row.direction === "income" ? "income" : "expense";
+    const currency = (totals[row.currency] ||= { expense: 0, income: 0, byModule: {} });
+    const module = row.main?.[0] || "未分類";
+    const byModule = (currency.byModule[module] ||= { expense: 0, income: 0 });
+    currency[key] += row.amount;
+    byModule[key] += row.amount;
+  }
+  return totals;
+}
+
+function moneyPair({ expense, income }, currency) {
+  return [
+    ...(expense ? [`支出 ${formatMoney({ amount: expense, currency })}`] : []),
+    ...(income ? [`收入 ${formatMoney({ amount: income, currency })}`] : []),
+  ].join("｜");
+}
+
+/** 期間內的紀錄 → 帳目文字（明細、各主模組支出 / 收入、合計與淨額；多幣別分開列） */
+export function buildLedgerReply(title, rows) {
+  const entries = rows.filter((row) => row.amount != null);
+  if (!entries.length) return `💰 ${title}\n（沒有收支紀錄）`;
+
+  const shown = entries.slice(-LEDGER_LIST_LIMIT);
+  const list = shown.map(
+    (log) => `${formatLogId(log)} ${log.timeDisplay}｜${log.summary}｜${formatMoney(log, { signed: true })}`
+  );
+  if (entries.length > shown.length) list.unshift(`（只列最新 ${shown.length} 筆，共 ${entries.length} 筆）`);
+
+  const sections = Object.entries(sumMoney(entries)).map(([currency, total]) => {
+    const net = total.income - total.expense;
+    const modules = Object.entries(total.byModule).map(([module, pair]) => `${module}：${moneyPair(pair, currency)}`);
+    return `📂 依主模組（${currency}）：\n${modules.join("\n")}\n` +
+           `合計：${moneyPair(total, currency)}｜淨額 ${formatMoney(
+             { amount: Math.abs(net), currency, direction: net >= 0 ? "income" : "expense" },
+             { signed: true }
+           )}`;
+  });
+
+  return `💰 ${title}\n\n${list.join("\n")}\n\n${sections.join("\n\n")}`;
+}
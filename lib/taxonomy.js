@@ -0,0 +1,232 @@
+import { readFileSync } from "node:fs";
+import { getStore } from "./store.js";
+
+// =============================================================
+// 分類設定（主模組、輔助分類、關鍵字規則）
+//  - 預設值在 config/taxonomy.json（或 TAXONOMY_FILE 指定的檔案）
+//  - 用聊天指令修改後，每個 owner 的設定另存在 store（taxonomy:<ownerId>）
+//  - 關鍵字規則與 GPT 分類提示詞都由同一份設定產生
+//
+// 設定格式：
+//  {
+//    mainModules: ["A. 藝廊工作", …],
+//    ruleOnlyModules: ["E. 辦公室維運"],   // 只能由關鍵字規則判定，GPT 不可選
+//    tags: ["🎨 創作", …],
+//    fallback: { main: [...], tags: [...] }, // 分類失敗時使用
+//    rules: [{ main, tags[], keywords[], requires?[] }]
+//      // 含任一 keywords、且 requires 全部都有 → 判定為 main / tags
+//  }
+// =============================================================
+
+const { TAXONOMY_FILE } = process.env;
+
+const store = getStore();
+
+function loadDefaultTaxonomy() {
+  const path = TAXONOMY_FILE || new URL("../config/taxonomy.json", import.meta.url);
+  return JSON.parse(readFileSync(path, "utf8"));
+}
+const DEFAULT_TAXONOMY = loadDefaultTaxonomy();
+
+function taxonomyKey(ownerId) {
+  return `taxonomy:${ownerId}`;
+}
+
+// ---------------- 讀寫 ----------------
+export async function getTaxonomy(ownerId) {
+  return (await store.getValue(taxonomyKey(ownerId))) ?? structuredClone(DEFAULT_TAXONOMY);
+}
+
+export async function saveTaxonomy(ownerId, taxonomy) {
+  return store.setValue(taxonomyKey(ownerId), taxonomy);
+}
+
+/** 回到預設設定（刪掉 owner 的自訂） */
+export async function resetTaxonomy(ownerId) {
+  await store.setValue(taxonomyKey(ownerId), null);
+  return structuredClone(DEFAULT_TAXONOMY);
+}
+
+// ---------------- 關鍵字規則 ----------------
+/** 命中的第一條規則 → { main[], tags[], confidence: 1 }；沒有命中回傳 null */
+export function matchRules(taxonomy, text) {
+  const rule = taxonomy.rules.find(
+    (r) =>
+      r.keywords.some((kw) => text.includes(kw)) &&
+      (r.requires || []).every((kw) => text.includes(kw))
+  );
+  return rule ? { main: [rule.main], tags: [...rule.tags], confidence: 1 } : null;
+}
+
+function quoteAll(words) {
+  return words.map((w) => `「${w}」`).join("");
+}
+
+function describeRule(rule) {
+  const when = rule.requires?.length
+    ? `同時含${quoteAll(rule.requires)}與${quoteAll(rule.keywords)}其中之一`
+    : `含${quoteAll(rule.keywords)}其中之一`;
+  return `${when} → ${rule.main}｜${rule.tags.join(" + ") || "無"}`;
+}
+
+// ---------------- GPT 提示詞 ----------------
+// GPT 分類回覆的格式（名稱是否存在由 normalizeCategory 處理）
+export const CLASSIFY_SCHEMA = {
+  type: "object",
+  required: ["main", "tags"],
+  properties: {
+    main: { type: "array", items: { type: "string" }, maxItems: 3 },
+    tags: { type: "array", items: { type: "string" } },
+    confidence: { type: "number", minimum: 0, maximum: 1 },
+  },
+};
+
+/** 分類欄位說明（main / tags / confidence 與僅限關鍵字的規則）；分類與一次完成的提示詞共用 */
+export function describeCategoryFields(taxonomy) {
+  const choosable = taxonomy.mainModules.filter((m) => !taxonomy.ruleOnlyModules.includes(m));
+  const rules = taxonomy.rules.filter((r) => taxonomy.ruleOnlyModules.includes(r.main));
+
+  return `- main：主模組（只能選一個：${choosable.join(", ")}）
+- tags：輔助分類（可多選，請使用完整名稱：${taxonomy.tags.join("、")}）
+- confidence：0~1，你對主模組判斷有多確定（訊息模糊、可能屬於多個主模組時給低一點）
+` +
+    (rules.length
+      ? `注意：${taxonomy.ruleOnlyModules.join("、")} 只在符合下列規則時使用，其他情況不要選：
+${rules.map((r) => `- ${describeRule(r)}`).join("\n")}
+`
+      : "");
+}
+
+/** 分類回覆範例 { main, tags, confidence } */
+export function categoryExample(taxonomy) {
+  const choosable = taxonomy.mainModules.filter((m) => !taxonomy.ruleOnlyModules.includes(m));
+  return { main: [choosable[0]], tags: taxonomy.tags.slice(0, 2), confidence: 0.9 };
+}
+
+/** 由設定產生分類提示詞（主模組、輔助分類、規則說明都與 matchRules 同一份資料） */
+export function buildClassifyPrompt(taxonomy) {
+  return `你是日誌分類助理。
+請把輸入訊息分成：
+${describeCategoryFields(taxonomy)}只回 JSON，例如：
+${JSON.stringify(categoryExample(taxonomy))}`;
+}
+
+/**
+ * GPT 回傳的分類只保留設定中存在的名稱（輔助分類可省略 emoji）；
+ * 主模組無效或是僅限關鍵字的模組時改用 fallback
+ */
+export function normalizeCategory(taxonomy, raw) {
+  const main = (raw?.main || [])
+    .filter((m) => taxonomy.mainModules.includes(m) && !taxonomy.ruleOnlyModules.includes(m))
+    .slice(0, 1);
+  const tags = [...new Set((raw?.tags || []).map((t) => findTag(taxonomy, t)).filter(Boolean))];
+  return {
+    main: main.length ? main : [...taxonomy.fallback.main],
+    tags: tags.length ? tags : [...taxonomy.fallback.tags],
+  };
+}
+
+// ---------------- 名稱解析 ----------------
+/** 主模組可只打代號或名稱（B / Podcast）；對不到回傳 null */
+export function findMainModule(taxonomy, value) {
+  const v = value.trim();
+  const list = taxonomy.mainModules;
+  return (
+    list.find((m) => m === v) ||
+    list.find((m) => m.toUpperCase().startsWith(`${v.toUpperCase()}.`)) ||
+    list.find((m) => m.includes(v)) ||
+    null
+  );
+}
+
+/** 輔助分類可省略 emoji（財務 → 💰 財務）；對不到回傳 null */
+export function findTag(taxonomy, value) {
+  const v = value.trim();
+  return taxonomy.tags.find((t) => t === v) || taxonomy.tags.find((t) => t.includes(v)) || null;
+}
+
+// ---------------- 修改（回傳 { taxonomy, message } 或 { error }） ----------------
+/** 關鍵字加到主模組的一般規則（沒有 requires 的那條）；沒有就新建一條 */
+export function addKeywords(taxonomy, moduleName, words) {
+  const main = findMainModule(taxonomy, moduleName);
+  if (!main) return { error: `⚠️ 沒有主模組「${moduleName}」` };
+
+  let rule = taxonomy.rules.find((r) => r.main === main && !r.requires?.length);
+  if (!rule) {
+    const sibling = taxonomy.rules.find((r) => r.main === main);
+    rule = { main, tags: sibling ? [...sibling.tags] : [], keywords: [] };
+    taxonomy.rules.push(rule);
+  }
+  const added = words.filter((w) => !rule.keywords.includes(w));
+  rule.keywords.push(...added);
+  if (!added.length) return { error: `⚠️ 這些關鍵字已經在 ${main} 裡了` };
+  return { taxonomy, message: `🔑 已新增關鍵字 ${quoteAll(added)} → ${main}` };
+}
+
+/** 從所有規則移除關鍵字；規則沒有關鍵字了就整條刪掉 */
+export function removeKeywords(taxonomy, words) {
+  const removed = new Set();
+  for (const rule of taxonomy.rules) {
+    for (const w of words) {
+      if (rule.keywords.includes(w)) removed.add(w);
+    }
+    rule.keywords = rule.keywords.filter((kw) => !words.includes(kw));
+  }
+  taxonomy.rules = taxonomy.rules.filter((r) => r.keywords.length);
+  if (!removed.size) return { error: `⚠️ 沒有找到關鍵字 ${quoteAll(words)}` };
+  return { taxonomy, message: `🗑️ 已移除關鍵字 ${quoteAll([...removed])}` };
+}
+
+export function addMainModule(taxonomy, name) {
+  if (taxonomy.mainModules.includes(name)) return { error: `⚠️ 主模組「${name}」已存在` };
+  taxonomy.mainModules.push(name);
+  return { taxonomy, message: `📂 已新增主模組：${name}` };
+}
+
+/** 刪除主模組與指向它的規則；fallback 使用中的不能刪 */
+export function removeMainModule(taxonomy, value) {
+  const main = findMainModule(taxonomy, value);
+  if (!main) return { error: `⚠️ 沒有主模組「${value}」` };
+  if (taxonomy.fallback.main.includes(main)) {
+    return { error: `⚠️ ${main} 是分類失敗時的預設主模組，不能刪除` };
+  }
+  taxonomy.mainModules = taxonomy.mainModules.filter((m) => m !== main);
+  taxonomy.ruleOnlyModules = taxonomy.ruleOnlyModules.filter((m) => m !== main);
+  taxonomy.rules = taxonomy.rules.filter((r) => r.main !== main);
+  return { taxonomy, message: `🗑️ 已刪除主模組：${main}（相關關鍵字規則一併移除）` };
+}
+
+export function addTag(taxonomy, name) {
+  if (taxonomy.tags.includes(name)) return { error: `⚠️ 輔助分類「${name}」已存在` };
+  taxonomy.tags.push(name);
+  return { taxonomy, message: `🏷️ 已新增輔助分類：${name}` };
+}
+
+export function removeTag(taxonomy, value) {
+  const tag = findTag(taxonomy, value);
+  if (!tag) return { error: `⚠️ 沒有輔助分類「${value}」` };
+  if (taxonomy.fallback.tags.includes(tag)) {
+    return { error: `⚠️ ${tag} 是分類失敗時的預設輔助分類，不能刪除` };
+  }
+  taxonomy.tags = taxonomy.tags.filter((t) => t !== tag);
+  for (const rule of taxonomy.rules) rule.tags = rule.tags.filter((t) => t !== tag);
+  return { taxonomy, message: `🗑️ 已刪除輔助分類：${tag}` };
+}
+
+// ---------------- 顯示 ----------------
+export function describeTaxonomy(taxonomy) {
+  const modules = taxonomy.mainModules.map(
+    (m) => `・${m}${taxonomy.ruleOnlyModules.includes(m) ? "（僅關鍵字）" : ""}`
+  );
+  return [
+    "🗂️ 分類設定",
+    "",
+    "📂 主模組",
+    ...modules,
+    "",
+    `🏷️ 輔助分類\n${taxonomy.tags.join("、")}`,
+    "",
+    "🔑 關鍵字規則",
+    ...(taxonomy.rules.length ? taxonomy.rules.map((r) => `・${describeRule(r)}`) : ["（無）"]),
+  ].join("\n");
+}
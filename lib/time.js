@@ -0,0 +1,80 @@
+// ---------------- 工具：時間 ----------------
+export function nowUtcISO() {
+  return new Date().toISOString();
+}
+
+// ---------------- 時區（Intl，夏令時間安全） ----------------
+// 每個 owner 可用「時區」指令設定自己的時區（見 lib/owners.js），沒設定時用 TIME_ZONE
+export const DEFAULT_TIME_ZONE = process.env.TIME_ZONE || "Asia/Taipei";
+
+// 常用城市的中文別名 → IANA 時區
+const TIME_ZONE_ALIASES = {
+  台北: "Asia/Taipei", 台灣: "Asia/Taipei", 東京: "Asia/Tokyo", 日本: "Asia/Tokyo",
+  首爾: "Asia/Seoul", 韓國: "Asia/Seoul", 香港: "Asia/Hong_Kong", 上海: "Asia/Shanghai",
+  北京: "Asia/Shanghai", 新加坡: "Asia/Singapore", 曼谷: "Asia/Bangkok", 倫敦: "Europe/London",
+  巴黎: "Europe/Paris", 柏林: "Europe/Berlin", 紐約: "America/New_York", 洛杉磯: "America/Los_Angeles",
+  溫哥華: "America/Vancouver", 雪梨: "Australia/Sydney", 墨爾本: "Australia/Melbourne",
+};
+
+/** 使用者輸入（IANA 名稱不分大小寫，或中文別名）→ 標準 IANA 名稱；不認得回傳 null */
+export function resolveTimeZone(input) {
+  const name = TIME_ZONE_ALIASES[input.trim()] || input.trim();
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: name }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+/** 某個時刻在指定時區的顯示文字，例如 2026/10/19 下午4:25:03 */
+export function zonedDisplay(date, timeZone = DEFAULT_TIME_ZONE) {
+  return new Date(date).toLocaleString("zh-TW", { timeZone });
+}
+
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/** 某個時刻在指定時區的牆上時間：{ year, month, day, hour, minute, second, weekday（0=週日） } */
+export function zonedParts(date, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+      weekday: "short",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAY_NAMES.indexOf(parts.weekday),
+  };
+}
+
+// 該時刻在時區內比 UTC 快多少毫秒
+function zoneOffsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * 指定時區的牆上時間 → 真正的時刻。
+ * 先用當下 offset 猜，再以猜到的時刻的 offset 修正一次（跨夏令時間切換時才會不同）
+ * 欄位可超出範圍（hour: 25、day: 0），會像 Date.UTC 一樣自動進位
+ */
+export function zonedTime({ year, month, day, hour = 0, minute = 0, second = 0, ms = 0 }, timeZone = DEFAULT_TIME_ZONE) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+  const guess = wall - zoneOffsetMs(new Date(wall), timeZone);
+  return new Date(wall - zoneOffsetMs(new Date(guess), timeZone));
+}
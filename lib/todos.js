@@ -0,0 +1,100 @@
+import { getStore } from "./store.js";
+import { parseDateTime } from "./datetime.js";
+import { DEFAULT_TIME_ZONE, nowUtcISO } from "./time.js";
+
+// =============================================================
+// 待辦（計畫中、還沒發生的事）
+// todos 集合：{ id, ownerId, content, dueISO, dueEndISO, dueDisplay, plannedISO（最初排定的時間）, timeZone,
+//              status: open|done|cancelled, createdAt, doneAt?, logId?（完成後轉成的紀錄）, rolledOver?（延期次數） }
+//  - 「待辦 明天 10:00 佈展」：日期時間依 owner 的時區往未來解讀；沒寫日期為今天
+//  - 期限（dueEndISO）已過仍未完成 → 延到今天，rolledOver 加一（查看待辦、總結、每小時排程時檢查）
+//  - 總結列出該範圍「計畫 vs 完成」：排定或完成時間落在範圍內的待辦
+// =============================================================
+
+const store = getStore();
+
+/** 待辦編號：T3（與紀錄的 #3 區分） */
+export function formatTodoId(todo) {
+  return `T${todo.id}`;
+}
+
+function today(timeZone, now) {
+  return parseDateTime("今天", { now, timeZone });
+}
+
+/** 「明天 10:00 佈展」→ 新增待辦；沒有內容回傳 null */
+export async function addTodo(ownerId, text, { timeZone = DEFAULT_TIME_ZONE, now = new Date() } = {}) {
+  const parsed = parseDateTime(text, { now, timeZone, prefer: "future" });
+  const content = (parsed ? parsed.rest : text).trim();
+  if (!content) return null;
+  const t = parsed || today(timeZone, now);
+  return store.insert("todos", {
+    ownerId,
+    content,
+    dueISO: t.at.toISOString(),
+    dueEndISO: t.end.toISOString(),
+    dueDisplay: t.display,
+    plannedISO: t.at.toISOString(),
+    timeZone,
+    status: "open",
+    createdAt: nowUtcISO(),
+  });
+}
+
+export async function getTodo(ownerId, id) {
+  const todo = await store.get("todos", id);
+  return todo && todo.ownerId === ownerId ? todo : null;
+}
+
+export async function updateTodo(todo, patch) {
+  return store.update("todos", todo.id, patch);
+}
+
+/** 期限已過的未完成待辦延到今天；回傳延期的待辦 */
+export async function rollOverTodos(ownerId, timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  const day = today(timeZone, now);
+  const rolled = [];
+  for (const todo of await store.list("todos", { ownerId, status: "open" })) {
+    if (new Date(todo.dueEndISO).getTime() >= day.start.getTime()) continue;
+    rolled.push(
+      await updateTodo(todo, {
+        dueISO: day.start.toISOString(),
+        dueEndISO: day.end.toISOString(),
+        dueDisplay: day.display,
+        rolledOver: (todo.rolledOver || 0) + 1,
+      })
+    );
+  }
+  return rolled;
+}
+
+/** 未完成的待辦（先延期過期的），依期限排序 */
+export async function listOpenTodos(ownerId, timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  await rollOverTodos(ownerId, timeZone, now);
+  return (await store.list("todos", { ownerId, status: "open" })).sort(
+    (a, b) => new Date(a.dueISO) - new Date(b.dueISO)
+  );
+}
+
+/** 範圍內的待辦（排定、目前期限或完成時間落在範圍內；已取消的不算） */
+export async function todosInRange(ownerId, start, end) {
+  const inRange = (iso) => iso && new Date(iso) >= start && new Date(iso) <= end;
+  return (await store.list("todos", { ownerId }))
+    .filter((todo) => todo.status !== "cancelled")
+    .filter((todo) => inRange(todo.plannedISO) || inRange(todo.dueISO) || inRange(todo.doneAt))
+    .sort((a, b) => new Date(a.plannedISO) - new Date(b.plannedISO));
+}
+
+// ---------------- 顯示 ----------------
+export function todoLine(todo) {
+  const mark = todo.status === "done" ? "✅" : "☐";
+  const rolled = todo.rolledOver ? `・延 ${todo.rolledOver} 次` : "";
+  return `${mark} ${formatTodoId(todo)} ${todo.content}（${todo.dueDisplay}${rolled}）`;
+}
+
+/** 總結用：「📋 計畫 vs 完成：2 / 3」＋各項 */
+export function describePlanned(todos) {
+  if (!todos?.length) return "";
+  const done = todos.filter((todo) => todo.status === "done").length;
+  return `📋 計畫 vs 完成：${done} / ${todos.length}\n${todos.map(todoLine).join("\n")}`;
+}
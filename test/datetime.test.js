@@ -0,0 +1,306 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseDateTime, toNumber } from "../lib/datetime.js";
+
+// 固定「現在」：2026/10/19（週一）10:00 台北
+const TZ = "Asia/Taipei";
+const NOW = new Date("2026-10-19T10:00:00+08:00");
+const parse = (text, options = {}) => parseDateTime(text, { now: NOW, timeZone: TZ, ...options });
+const iso = (local) => new Date(`${local}+08:00`).toISOString();
+
+describe("toNumber", () => {
+  it("阿拉伯與中文數字", () => {
+    assert.equal(toNumber("15"), 15);
+    assert.equal(toNumber("三"), 3);
+    assert.equal(toNumber("十"), 10);
+    assert.equal(toNumber("十一"), 11);
+    assert.equal(toNumber("二十三"), 23);
+    assert.equal(toNumber("二〇二五"), 2025);
+    assert.ok(Number.isNaN(toNumber("abc")));
+  });
+});
+
+describe("日期詞", () => {
+  for (const [word, display] of [
+    ["今天", "10/19"], ["昨天", "10/18"], ["前天", "10/17"], ["大前天", "10/16"],
+    ["明天", "10/20"], ["後天", "10/21"],
+  ]) {
+    it(word, () => {
+      const r = parse(`${word} 佈展`);
+      assert.equal(r.display, display);
+      assert.equal(r.precision, "day");
+      assert.equal(r.hasDate, true);
+      assert.equal(r.hasTime, false);
+      assert.equal(r.rest, "佈展");
+    });
+  }
+
+  it("今早 / 昨晚 / 前晚帶時段", () => {
+    assert.equal(parse("今早").display, "10/19 早上");
+    assert.equal(parse("昨晚 看展").display, "10/18 晚上");
+    assert.equal(parse("前晚").display, "10/17 晚上");
+    const r = parse("昨晚");
+    assert.equal(r.precision, "part");
+    assert.equal(r.start.toISOString(), iso("2026-10-18T18:00:00"));
+  });
+
+  it("一整天的範圍到 23:59:59.999", () => {
+    const r = parse("昨天");
+    assert.equal(r.start.toISOString(), iso("2026-10-18T00:00:00"));
+    assert.equal(r.end.toISOString(), iso("2026-10-18T23:59:59.999"));
+  });
+});
+
+describe("星期", () => {
+  it("週二：預設往過去找", () => {
+    assert.equal(parse("週二").display, "10/13");
+    assert.equal(parse("週二").confidence, "medium");
+  });
+  it("週二：prefer future 往未來找", () => {
+    assert.equal(parse("週二", { prefer: "future" }).display, "10/20");
+  });
+  it("今天是週一：週一就是今天", () => {
+    assert.equal(parse("週一").display, "10/19");
+  });
+  it("上週五、下禮拜一、星期天", () => {
+    assert.equal(parse("上週五").display, "10/16");
+    assert.equal(parse("下禮拜一").display, "10/26");
+    assert.equal(parse("星期天").display, "10/18");
+  });
+});
+
+describe("數字日期", () => {
+  for (const [text, display] of [
+    ["10/3", "10/3"], ["10-3", "10/3"], ["10月3號", "10/3"], ["10月3日", "10/3"], ["十月三日", "10/3"],
+    ["2025/10/3", "2025/10/3"], ["2025年10月3日", "2025/10/3"], ["１０／３", "10/3"],
+  ]) {
+    it(text, () => {
+      const r = parse(`${text} 佈展`);
+      assert.equal(r.display, display);
+      assert.equal(r.rest, "佈展");
+    });
+  }
+
+  it("本月3號、上個月十號", () => {
+    assert.equal(parse("本月3號").display, "10/3");
+    const r = parse("上個月十號 佈展");
+    assert.equal(r.display, "9/10");
+    assert.equal(r.rest, "佈展");
+    assert.equal(parse("下月31號"), null); // 11 月沒有 31 號
+  });
+
+  it("不合法的日期不算", () => {
+    assert.equal(parse("2/30"), null);
+    assert.equal(parse("13/1"), null);
+  });
+
+  it("沒寫年份、比今天晚超過 30 天 → 去年", () => {
+    const r = parse("12/25");
+    assert.equal(r.display, "2025/12/25");
+    assert.equal(r.confidence, "medium");
+    assert.equal(parse("11/10").display, "11/10"); // 30 天內照今年
+  });
+});
+
+describe("時間", () => {
+  for (const [text, display] of [
+    ["08:30", "10/19 08:30"],
+    ["０８：３０", "10/19 08:30"],
+    ["9點", "10/19 09:00"],
+    ["三點半", "10/19 03:30"],
+    ["十一點十五分", "10/18 11:15"],
+    ["下午兩點", "10/18 14:00"],
+    ["晚上 11 點", "10/18 23:00"],
+  ]) {
+    it(text, () => {
+      const r = parse(text);
+      assert.equal(r.display, display);
+      assert.equal(r.precision, "minute");
+    });
+  }
+
+  it("只有時間、比現在晚 → 預設視為昨天", () => {
+    assert.equal(parse("10:03").display, "10/19 10:03"); // 5 分鐘內仍算今天
+    assert.equal(parse("18:00").display, "10/18 18:00");
+    assert.equal(parse("18:00", { prefer: "future" }).display, "10/19 18:00");
+    assert.equal(parse("9:00", { prefer: "future" }).display, "10/20 09:00");
+  });
+
+  it("沒寫上下午的「3點」信心為 medium", () => {
+    assert.equal(parse("昨天 3點").confidence, "medium");
+    assert.equal(parse("昨天 15:00").confidence, "high");
+  });
+
+  it("日期 + 時段 + 時間", () => {
+    const r = parse("昨天下午兩點 佈展");
+    assert.equal(r.at.toISOString(), iso("2026-10-18T14:00:00"));
+    assert.equal(r.rest, "佈展");
+  });
+
+  it("約 3 點 / 3 點左右：低信心、前後半小時", () => {
+    const r = parse("昨天約3點");
+    assert.equal(r.approximate, true);
+    assert.equal(r.confidence, "low");
+    assert.equal(r.display, "約 10/18 03:00");
+    assert.equal(r.end - r.start, 60 * 60000);
+    assert.equal(parse("昨天 15:00 左右").approximate, true);
+  });
+
+  it("「時」後面接分 / 半或斷開才是時間", () => {
+    assert.equal(parse("下午3時").display, "10/18 15:00");
+    assert.equal(parse("昨天 3時15分").display, "10/18 03:15");
+    assert.equal(parse("昨天 3時 開會").rest, "開會");
+    assert.equal(parse("第3時段"), null);
+    assert.equal(parse("開會2時間"), null);
+  });
+
+  it("約會 / 約好不是約略", () => {
+    const r = parse("昨天 15:00 約會");
+    assert.equal(r.approximate, false);
+    assert.equal(r.rest, "約會");
+  });
+});
+
+describe("範圍", () => {
+  it("14:00-17:30", () => {
+    const r = parse("昨天 14:00-17:30 佈展");
+    assert.equal(r.isRange, true);
+    assert.equal(r.display, "10/18 14:00–17:30");
+    assert.equal(r.end - r.start, 210 * 60000);
+    assert.equal(r.rest, "佈展");
+  });
+
+  it("~ 與「到」也可以", () => {
+    assert.equal(parse("昨天 14:00~15:00").display, "10/18 14:00–15:00");
+    assert.equal(parse("昨天 14:00到15:00").display, "10/18 14:00–15:00");
+  });
+
+  it("下午2-4點", () => {
+    assert.equal(parse("昨天下午2-4點").display, "10/18 14:00–16:00");
+  });
+
+  it("下午兩點到五點", () => {
+    assert.equal(parse("昨天下午兩點到五點").display, "10/18 14:00–17:00");
+  });
+
+  it("晚上11點到1點跨日", () => {
+    const r = parse("昨天晚上11點到1點");
+    assert.equal(r.display, "10/18 23:00–10/19 01:00");
+    assert.equal(r.end - r.start, 2 * 3600000);
+  });
+
+  it("結束早於開始視為跨日", () => {
+    assert.equal(parse("昨天 23:00-01:30").display, "10/18 23:00–10/19 01:30");
+  });
+
+  it("10/1-10/15 與 10/1~15", () => {
+    for (const text of ["10/1-10/15", "10/1~15"]) {
+      const r = parse(text);
+      assert.equal(r.precision, "days");
+      assert.equal(r.display, "10/1–10/15");
+      assert.equal(r.start.toISOString(), iso("2026-10-01T00:00:00"));
+      assert.equal(r.end.toISOString(), iso("2026-10-15T23:59:59.999"));
+    }
+  });
+
+  it("本週 / 上週：週一到週日", () => {
+    assert.equal(parse("本週").display, "10/19–10/25");
+    assert.equal(parse("上週").display, "10/12–10/18");
+    assert.equal(parse("上週").precision, "week");
+  });
+
+  it("這個月 / 上個月", () => {
+    const r = parse("這個月");
+    assert.equal(r.display, "10月");
+    assert.equal(r.end.toISOString(), iso("2026-10-31T23:59:59.999"));
+    assert.equal(parse("上個月").display, "9月");
+  });
+});
+
+describe("跨年", () => {
+  const newYear = new Date("2026-01-02T10:00:00+08:00");
+
+  it("12/25-1/5", () => {
+    const r = parse("12/25-1/5", { now: newYear });
+    assert.equal(r.start.toISOString(), iso("2025-12-25T00:00:00"));
+    assert.equal(r.end.toISOString(), iso("2026-01-05T23:59:59.999"));
+  });
+
+  it("年初寫 12/30 → 去年", () => {
+    assert.equal(parse("12/30", { now: newYear }).start.toISOString(), iso("2025-12-30T00:00:00"));
+  });
+
+  it("年底往未來找 1/3 → 明年", () => {
+    const r = parse("1/3", { now: new Date("2026-12-30T10:00:00+08:00"), prefer: "future" });
+    assert.equal(r.display, "2027/1/3");
+  });
+
+  it("1/1 的昨天是去年 12/31", () => {
+    const r = parse("昨天", { now: new Date("2026-01-01T10:00:00+08:00") });
+    assert.equal(r.display, "2025/12/31");
+  });
+
+  it("上個月跨年", () => {
+    assert.equal(parse("上個月", { now: newYear }).display, "2025/12月");
+  });
+});
+
+describe("夏令時間", () => {
+  const NY = "America/New_York";
+
+  it("結束夏令時間那天有 25 小時", () => {
+    const r = parseDateTime("今天", { now: new Date("2026-11-01T12:00:00-05:00"), timeZone: NY });
+    assert.equal(r.end - r.start + 1, 25 * 3600000);
+  });
+
+  it("開始夏令時間那天有 23 小時", () => {
+    const r = parseDateTime("今天", { now: new Date("2026-03-08T12:00:00-04:00"), timeZone: NY });
+    assert.equal(r.end - r.start + 1, 23 * 3600000);
+  });
+
+  it("跨過切換的時間照當地牆上時間", () => {
+    const now = new Date("2026-11-02T12:00:00-05:00");
+    assert.equal(parseDateTime("昨天 15:00", { now, timeZone: NY }).at.toISOString(), "2026-11-01T20:00:00.000Z");
+    assert.equal(parseDateTime("前天 15:00", { now, timeZone: NY }).at.toISOString(), "2026-10-31T19:00:00.000Z");
+  });
+
+  it("跨切換的時段計算實際經過的時間", () => {
+    const now = new Date("2026-11-02T12:00:00-05:00");
+    const r = parseDateTime("昨天 00:00-03:00", { now, timeZone: NY });
+    assert.equal(r.end - r.start, 4 * 3600000);
+  });
+});
+
+describe("句中的數字不當日期", () => {
+  it("有日期詞時以日期詞為準", () => {
+    const r = parse("昨天看了1/2的書");
+    assert.equal(r.display, "10/18");
+    assert.equal(r.rest, "看了1/2的書");
+  });
+
+  it("日期詞也優先於數字範圍", () => {
+    const r = parse("今天讀了1/2-3/4");
+    assert.equal(r.display, "10/19");
+    assert.equal(r.rest, "讀了1/2-3/4");
+  });
+
+  it("後面緊接量詞的是數量", () => {
+    assert.equal(parse("去買3-4件衣服"), null);
+    assert.equal(parse("喝了1/2杯"), null);
+    assert.equal(parse("3-4個人"), null);
+  });
+
+  it("日期後面接地名、個展照常是日期", () => {
+    assert.equal(parse("10/3台北").display, "10/3");
+    assert.equal(parse("10/3個展開幕").rest, "個展開幕");
+  });
+
+  it("後面接「點」的是時間範圍", () => {
+    assert.equal(parse("昨天下午2-4點").precision, "minute");
+  });
+
+  it("完全沒有日期時間回傳 null", () => {
+    assert.equal(parse("畫分鏡"), null);
+    assert.equal(parse(""), null);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { describeMoney, formatMoney, parseMoney, parseMoneyInput } from "../lib/money.js";
+
+const expense = (amount, currency = "TWD") => ({ amount, currency, direction: "expense" });
+const income = (amount, currency = "TWD") => ({ amount, currency, direction: "income" });
+
+describe("parseMoney：有寫幣別", () => {
+  for (const [text, expected] of [
+    ["買顏料 350元", expense(350)],
+    ["計程車 NT$180", expense(180)],
+    ["吃午餐 120塊", expense(120)],
+    ["機票 USD 320", expense(320, "USD")],
+    ["畫冊 3000日圓", expense(3000, "JPY")],
+    ["展位費 1.2萬元", expense(12000)],
+    ["NT$350元 顏料", expense(350)],
+  ]) {
+    it(text, () => assert.deepEqual(parseMoney(text), expected));
+  }
+
+  it("同幣別多筆加總", () => {
+    assert.deepEqual(parseMoney("顏料 350元 畫布 200元"), expense(550));
+  });
+});
+
+describe("parseMoney：沒寫幣別", () => {
+  for (const [text, expected] of [
+    ["寄賣分潤收到 2,400", income(2400)],
+    ["繳展位費 1.2萬", expense(12000)],
+    ["付了 1.5k", expense(1500)],
+    ["買顏料 350", expense(350)],
+    ["付分潤給藝術家 2,400", expense(2400)],
+    ["花了 120 買 2 支筆", expense(120)],
+    ["收到 2400 稿費", income(2400)],
+    ["買顏料350，很貴", expense(350)],
+  ]) {
+    it(text, () => assert.deepEqual(parseMoney(text), expected));
+  }
+
+  it("沒有收支用語的數字不算", () => {
+    assert.equal(parseMoney("畫了 3 小時"), null);
+    assert.equal(parseMoney("佈展 350"), null);
+  });
+});
+
+describe("parseMoney：不是金額的數字", () => {
+  for (const text of [
+    "買了 3 包顏料",
+    "付了 7-11 的帳",
+    "買了 iPhone 15",
+    "買了 2 支筆",
+    "買 6 瓶水",
+    "買了 1 盒蛋糕",
+    "買 2 雙襪子",
+    "買了 3 條毛巾",
+    "買了 1 台印表機",
+    "買了 3張票",
+    "10:00 付款",
+    "付 10/3 的帳",
+    "花了 2小時",
+    "訂了 3 個位子",
+    "買了2碗麵",
+    "收到2封信",
+    "租了2間房",
+    "收到了第2批貨",
+    "付了350給房東",
+  ]) {
+    it(text, () => assert.equal(parseMoney(text), null));
+  }
+});
+
+describe("萬 / 千的尾數", () => {
+  for (const [text, expected] of [
+    ["花了3萬8", expense(38000)],
+    ["花了3萬8千", expense(38000)],
+    ["花了 3萬5000", expense(35000)],
+    ["賣了1千5", income(1500)],
+    ["學費 3萬8元", expense(38000)],
+    ["NT$1千500", expense(1500)],
+  ]) {
+    it(text, () => assert.deepEqual(parseMoney(text), expected));
+  }
+});
+
+describe("parseMoneyInput", () => {
+  it("純數字沿用原本方向", () => {
+    assert.deepEqual(parseMoneyInput("350"), expense(350));
+    assert.deepEqual(parseMoneyInput("350", "income"), income(350));
+  });
+  it("收入 / 支出 / 幣別", () => {
+    assert.deepEqual(parseMoneyInput("收入 2400"), income(2400));
+    assert.deepEqual(parseMoneyInput("支出 USD 20"), expense(20, "USD"));
+    assert.deepEqual(parseMoneyInput("1.2萬"), expense(12000));
+    assert.deepEqual(parseMoneyInput("3萬8"), expense(38000));
+  });
+  it("看不懂回傳 null", () => {
+    assert.equal(parseMoneyInput("很多"), null);
+    assert.equal(parseMoneyInput("0"), null);
+  });
+});
+
+describe("顯示", () => {
+  it("formatMoney", () => {
+    assert.equal(formatMoney(expense(2400)), "NT$2,400");
+    assert.equal(formatMoney(expense(350), { signed: true }), "-NT$350");
+    assert.equal(formatMoney(income(20, "USD"), { signed: true }), "+US$20");
+  });
+  it("describeMoney", () => {
+    assert.equal(describeMoney(income(500)), "收入 NT$500");
+    assert.equal(describeMoney({}), "");
+  });
+});
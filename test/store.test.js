@@ -0,0 +1,262 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, utimes, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createFileStore, createMemoryStore, createStateStore, createStore } from "../lib/store.js";
+
+let dir;
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), "line-bot-store-"));
+});
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+const readJson = async (path) => JSON.parse(await readFile(path, "utf8"));
+
+// 兩種 adapter 共用的介面測試
+for (const [name, make] of [
+  ["memory", () => createMemoryStore()],
+  ["file", () => createFileStore(join(dir, "store.json"))],
+]) {
+  describe(`${name} store`, () => {
+    it("insert 給遞增 id，list 可依欄位過濾", async () => {
+      const store = make();
+      assert.deepEqual(await store.list("logs"), []);
+      const a = await store.insert("logs", { ownerId: "U1", text: "a" });
+      const b = await store.insert("logs", { ownerId: "U2", text: "b" });
+      assert.equal(a.id, 1);
+      assert.equal(b.id, 2);
+      assert.deepEqual(await store.list("logs", { ownerId: "U2" }), [b]);
+      assert.deepEqual(await store.get("logs", 1), a);
+      assert.equal(await store.get("logs", 99), null);
+    });
+
+    it("update 部分更新，找不到回傳 null", async () => {
+      const store = make();
+      const doc = await store.insert("logs", { text: "a", tags: ["x"] });
+      const updated = await store.update("logs", doc.id, { text: "b" });
+      assert.deepEqual(updated, { text: "b", tags: ["x"], id: doc.id });
+      assert.deepEqual(await store.get("logs", doc.id), updated);
+      assert.equal(await store.update("logs", 99, { text: "c" }), null);
+    });
+
+    it("remove 之後 id 不重複使用", async () => {
+      const store = make();
+      const doc = await store.insert("logs", { text: "a" });
+      assert.equal(await store.remove("logs", doc.id), true);
+      assert.equal(await store.remove("logs", doc.id), false);
+      assert.equal(await store.get("logs", doc.id), null);
+      assert.equal((await store.insert("logs", { text: "b" })).id, 2);
+    });
+
+    it("回傳複本，改了不影響存的內容", async () => {
+      const store = make();
+      const doc = await store.insert("logs", { tags: ["x"] });
+      doc.tags.push("y");
+      (await store.list("logs"))[0].tags.push("z");
+      assert.deepEqual((await store.get("logs", doc.id)).tags, ["x"]);
+    });
+
+    it("getValue：沒存過或存 null 都回傳 fallback", async () => {
+      const store = make();
+      assert.equal(await store.getValue("k"), null);
+      assert.equal(await store.getValue("k", "預設"), "預設");
+      await store.setValue("k", { a: 1 });
+      assert.deepEqual(await store.getValue("k", "預設"), { a: 1 });
+      await store.setValue("k", null);
+      assert.equal(await store.getValue("k", "預設"), "預設");
+      await store.setValue("zero", 0);
+      assert.equal(await store.getValue("zero", 5), 0);
+    });
+
+    it("同時寫入依序執行，id 不重複", async () => {
+      const store = make();
+      const docs = await Promise.all(Array.from({ length: 20 }, (_, i) => store.insert("logs", { i })));
+      assert.deepEqual(docs.map((d) => d.id), Array.from({ length: 20 }, (_, i) => i + 1));
+      assert.equal((await store.list("logs")).length, 20);
+    });
+
+    it("寫入失敗不會卡住後面的寫入", async () => {
+      const store = make();
+      await assert.rejects(store.insert("logs", { big: 1n })); // BigInt 無法序列化
+      assert.equal((await store.insert("logs", { text: "ok" })).text, "ok");
+    });
+  });
+}
+
+describe("file store 持久化", () => {
+  it("寫入後重新開啟仍在", async () => {
+    const path = join(dir, "nested", "store.json");
+    const store = createFileStore(path);
+    await store.insert("logs", { text: "a" });
+    await store.setValue("k", "v");
+
+    const reopened = createFileStore(path);
+    assert.equal((await reopened.list("logs"))[0].text, "a");
+    assert.equal(await reopened.getValue("k"), "v");
+    assert.equal((await reopened.insert("logs", { text: "b" })).id, 2);
+  });
+
+  it("同時寫入後檔案內容完整", async () => {
+    const path = join(dir, "store.json");
+    const store = createFileStore(path);
+    await Promise.all(Array.from({ length: 10 }, (_, i) => store.insert("logs", { i })));
+    const saved = await readJson(path);
+    assert.equal(saved.collections.logs.length, 10);
+    assert.equal(saved.seq.logs, 10);
+  });
+
+  it("冷啟動時同時讀寫，檔案內容完整", async () => {
+    const path = join(dir, "store.json");
+    await writeFile(path, JSON.stringify({ seq: { logs: 1 }, collections: { logs: [{ id: 1 }] }, values: {} }));
+    const store = createFileStore(path);
+    const [first] = await Promise.all([store.insert("logs", { text: "a" }), store.list("logs"), store.getValue("k")]);
+    const second = await store.insert("logs", { text: "b" });
+    assert.equal(first.id, 2);
+    assert.equal(second.id, 3);
+    assert.deepEqual((await store.list("logs")).map((d) => d.id), [1, 2, 3]);
+    assert.deepEqual((await readJson(path)).collections.logs.map((d) => d.id), [1, 2, 3]);
+  });
+
+  it("檔案壞掉時讀寫都失敗，不會蓋掉原檔", async () => {
+    const path = join(dir, "store.json");
+    await writeFile(path, "{not json");
+    const store = createFileStore(path);
+    await assert.rejects(store.list("logs"), SyntaxError);
+    await assert.rejects(store.setValue("k", 1), SyntaxError);
+    assert.equal(await readFile(path, "utf8"), "{not json");
+  });
+
+  it("檔案修好後下次存取重新載入", async () => {
+    const path = join(dir, "store.json");
+    await writeFile(path, "{not json");
+    const store = createFileStore(path);
+    await assert.rejects(store.list("logs"));
+    await writeFile(path, JSON.stringify({ seq: { logs: 1 }, collections: { logs: [{ id: 1 }] }, values: {} }));
+    assert.equal((await store.insert("logs", {})).id, 2);
+  });
+});
+
+describe("多個執行個體共用同一個檔案", () => {
+  it("各自寫入不會蓋掉對方的資料", async () => {
+    const path = join(dir, "store.json");
+    const webhook = createFileStore(path);
+    const cron = createFileStore(path);
+    await cron.list("owners"); // cron 先載入過（已有快取）
+    const log = await webhook.insert("logs", { text: "a" });
+    await cron.insert("owners", { ownerId: "U1" });
+
+    const saved = await readJson(path);
+    assert.deepEqual(saved.collections.logs.map((d) => d.id), [log.id]);
+    assert.equal(saved.collections.owners.length, 1);
+    assert.equal((await cron.list("logs")).length, 1);
+  });
+
+  it("交錯寫入時 id 不重複、一筆都不少", async () => {
+    const path = join(dir, "store.json");
+    const stores = [createFileStore(path), createFileStore(path), createFileStore(path)];
+    const docs = await Promise.all(
+      Array.from({ length: 15 }, (_, i) => stores[i % stores.length].insert("logs", { i }))
+    );
+    assert.equal(new Set(docs.map((d) => d.id)).size, 15);
+    assert.equal((await readJson(path)).collections.logs.length, 15);
+    await assert.rejects(readFile(`${path}.lock`), { code: "ENOENT" }); // 鎖已釋放
+  });
+
+  it("另一個執行個體更新後讀得到新內容", async () => {
+    const path = join(dir, "store.json");
+    const a = createFileStore(path);
+    const b = createFileStore(path);
+    await a.setValue("k", 1);
+    assert.equal(await b.getValue("k"), 1);
+    await a.setValue("k", 2);
+    assert.equal(await b.getValue("k"), 2);
+  });
+
+  it("過期的鎖檔會被移除", async () => {
+    const path = join(dir, "store.json");
+    const lock = `${path}.lock`;
+    await writeFile(lock, "");
+    const old = new Date(Date.now() - 60 * 1000);
+    await utimes(lock, old, old);
+    assert.equal((await createFileStore(path).insert("logs", {})).id, 1);
+  });
+});
+
+describe("載入", () => {
+  it("同時的讀取共用同一次載入", async () => {
+    const pending = [];
+    const load = () => new Promise((resolve) => pending.push(() => resolve(null)));
+    const store = createStateStore({ load, persist: async () => {} });
+    const reads = [store.list("logs"), store.getValue("k"), store.get("logs", 1)];
+    assert.equal(pending.length, 1);
+    pending.splice(0).forEach((resolve) => resolve());
+    assert.deepEqual(await Promise.all(reads), [[], null, null]);
+  });
+
+  it("寫入前在鎖內重新載入", async () => {
+    // 模擬別的執行個體：每次載入讀到的是「磁碟」上最新的內容
+    let disk = null;
+    const events = [];
+    const store = createStateStore({
+      load: async () => {
+        events.push("load");
+        return structuredClone(disk);
+      },
+      persist: async (state) => {
+        events.push("persist");
+        disk = structuredClone(state);
+      },
+      lock: async (fn) => {
+        events.push("lock");
+        try {
+          return await fn();
+        } finally {
+          events.push("unlock");
+        }
+      },
+    });
+    await store.insert("logs", { text: "a" });
+    disk.collections.logs.push({ id: 2, text: "別人寫的" }); // 其他執行個體寫入
+    disk.seq.logs = 2;
+    const doc = await store.insert("logs", { text: "b" });
+    assert.equal(doc.id, 3);
+    assert.deepEqual(disk.collections.logs.map((d) => d.id), [1, 2, 3]);
+    assert.deepEqual(events.slice(0, 4), ["lock", "load", "persist", "unlock"]);
+  });
+
+  it("載入失敗時下次存取再試", async () => {
+    let loads = 0;
+    const store = createStateStore({
+      load: async () => {
+        if (++loads === 1) throw new Error("暫時讀不到");
+        return null;
+      },
+      persist: async () => {},
+    });
+    await assert.rejects(store.list("logs"), /暫時讀不到/);
+    assert.deepEqual(await store.list("logs"), []);
+    assert.equal(loads, 2);
+  });
+});
+
+describe("createStore", () => {
+  it("STORE_DRIVER=memory", async () => {
+    const store = createStore({ STORE_DRIVER: "memory" });
+    await store.insert("logs", {});
+    assert.equal((await store.list("logs")).length, 1);
+  });
+
+  it("STORE_FILE_PATH 指定檔案位置", async () => {
+    const path = join(dir, "store.json");
+    await createStore({ STORE_FILE_PATH: path }).setValue("k", 1);
+    assert.equal((await readJson(path)).values.k, 1);
+  });
+
+  it("正式環境沒設定 STORE_FILE_PATH 直接報錯", () => {
+    assert.throws(() => createStore({ VERCEL: "1" }), /STORE_FILE_PATH/);
+    assert.throws(() => createStore({ NODE_ENV: "production" }), /STORE_FILE_PATH/);
+  });
+});
@@ -0,0 +1,242 @@
+import { after, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { EventEmitter } from "node:events";
+
+// 離線跑整個 webhook：記憶體儲存、LLM 替身，LINE 與 Sheet 的 fetch 換成假的
+const SECRET = "test-channel-secret";
+Object.assign(process.env, {
+  LINE_CHANNEL_SECRET: SECRET,
+  LINE_CHANNEL_ACCESS_TOKEN: "test-token",
+  STORE_DRIVER: "memory",
+  LLM_PROVIDER: "stub",
+  SHEET_WEBHOOK_URL: "https://sheet.test/exec",
+});
+
+const requests = [];
+const realFetch = globalThis.fetch;
+
+function fakeFetch(url, options = {}) {
+  requests.push({ url: String(url), headers: options.headers, body: JSON.parse(options.body || "null") });
+  if (String(url).startsWith("https://sheet.test")) return new Response(JSON.stringify({ ok: true }));
+  return new Response("{}");
+}
+
+const lineReplies = () => requests.filter((r) => r.url === "https://api.line.me/v2/bot/message/reply");
+const sheetRequests = () => requests.filter((r) => r.url.startsWith("https://sheet.test"));
+
+// 環境變數要在載入前設好，所以用動態 import
+globalThis.fetch = fakeFetch;
+const { default: handler } = await import("../api/webhook.js");
+const { getStore } = await import("../lib/store.js");
+const store = getStore();
+
+after(() => {
+  globalThis.fetch = realFetch;
+});
+beforeEach(() => {
+  requests.length = 0;
+});
+
+// ---------------- 假的 req / res ----------------
+function sign(raw, secret = SECRET) {
+  return createHmac("sha256", secret).update(raw).digest("base64");
+}
+
+async function post(body, { secret = SECRET, method = "POST" } = {}) {
+  const raw = Buffer.from(JSON.stringify(body));
+  const req = new EventEmitter();
+  req.method = method;
+  req.headers = { "x-line-signature": sign(raw, secret) };
+  const res = {
+    statusCode: 0,
+    headersSent: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    send(text) {
+      this.body = text;
+      this.headersSent = true;
+      return this;
+    },
+    end() {
+      this.headersSent = true;
+      return this;
+    },
+  };
+  const done = handler(req, res);
+  setImmediate(() => {
+    req.emit("data", raw);
+    req.emit("end");
+  });
+  await done;
+  return res;
+}
+
+let seq = 0;
+function textEvent(text, { eventId = `ev-${++seq}`, userId = "U-test" } = {}) {
+  return {
+    type: "message",
+    mode: "active",
+    timestamp: Date.now(),
+    webhookEventId: eventId,
+    deliveryContext: { isRedelivery: false },
+    replyToken: `reply-${seq}`,
+    source: { type: "user", userId },
+    message: { type: "text", id: `msg-${seq}`, text },
+  };
+}
+
+function imageEvent({ userId = "U-test", groupId } = {}) {
+  const event = textEvent("", { userId });
+  event.message = { type: "image", id: `img-${seq}` };
+  if (groupId) event.source = { type: "group", groupId, userId };
+  return event;
+}
+
+// ---------------- 測試 ----------------
+describe("webhook", () => {
+  it("不是 POST 回 405", async () => {
+    const res = await post({ events: [] }, { method: "GET" });
+    assert.equal(res.statusCode, 405);
+  });
+
+  it("簽章不符回 403，不處理事件", async () => {
+    const res = await post({ events: [textEvent("我到藝廊了")] }, { secret: "wrong" });
+    assert.equal(res.statusCode, 403);
+    assert.equal(requests.length, 0);
+  });
+
+  it("一則紀錄：存進 store、回覆 LINE、同步到 Sheet", async () => {
+    const event = textEvent("我到藝廊了", { userId: "U-log" });
+    const res = await post({ destination: "U0", events: [event] });
+    assert.equal(res.statusCode, 200);
+
+    const logs = await store.list("logs", { ownerId: "U-log" });
+    assert.equal(logs.length, 1);
+    assert.equal(logs[0].rawText, "我到藝廊了");
+    assert.equal(logs[0].type, "instant");
+
+    const [reply] = lineReplies();
+    assert.equal(reply.body.replyToken, event.replyToken);
+    assert.equal(reply.headers.Authorization, "Bearer test-token");
+    assert.match(JSON.stringify(reply.body.messages), /已記錄/);
+
+    const append = sheetRequests().find((r) => r.body.action === "append");
+    assert.ok(append, "應送出 Sheet append");
+    assert.equal(append.body.ownerId, "U-log");
+    assert.equal(append.body.id, logs[0].id);
+    assert.equal(append.headers["Idempotency-Key"], append.body.idempotencyKey);
+    assert.equal((await store.list("sheetOutbox", { ownerId: "U-log" })).length, 0);
+  });
+
+  it("LINE 重送同一個事件只處理一次", async () => {
+    const event = textEvent("我到工作室了", { userId: "U-redeliver" });
+    await post({ events: [event] });
+    await post({ events: [{ ...event, deliveryContext: { isRedelivery: true } }] });
+    assert.equal((await store.list("logs", { ownerId: "U-redeliver" })).length, 1);
+    assert.equal(lineReplies().length, 1);
+  });
+
+  it("問句當一般對話，不記錄", async () => {
+    await post({ events: [textEvent("今天天氣好嗎？", { userId: "U-chat" })] });
+    assert.equal((await store.list("logs", { ownerId: "U-chat" })).length, 0);
+    assert.equal(lineReplies().length, 1);
+    assert.equal(sheetRequests().length, 0);
+  });
+
+  it("多行訊息有一行是問句就不拆成多筆", async () => {
+    await post({ events: [textEvent("今天好累喔\n明天要開會嗎？", { userId: "U-lines" })] });
+    assert.equal((await store.list("logs", { ownerId: "U-lines" })).length, 0);
+  });
+
+  it("多行訊息只有日期詞、不像紀錄的行不當成補記", async () => {
+    await post({ events: [textEvent("今天好累\n想睡覺", { userId: "U-tired" })] });
+    const logs = await store.list("logs", { ownerId: "U-tired" });
+    assert.ok(logs.length <= 1);
+    assert.ok(logs.every((log) => !log.batchId && log.type === "instant"));
+  });
+
+  it("多行訊息有時間的行記為補記、像紀錄的行記為現在", async () => {
+    await post({ events: [textEvent("昨天 9:00 起床\n我到藝廊了", { userId: "U-mixed" })] });
+    const logs = await store.list("logs", { ownerId: "U-mixed" });
+    assert.deepEqual(logs.map((log) => log.type), ["backlog", "instant"]);
+  });
+
+  it("一次超過 20 筆整則不記並提醒", async () => {
+    const text = Array.from({ length: 21 }, (_, i) => `${i + 1}. 我吃了第 ${i + 1} 塊餅乾`).join("\n");
+    await post({ events: [textEvent(text, { userId: "U-many" })] });
+    assert.equal((await store.list("logs", { ownerId: "U-many" })).length, 0);
+    assert.match(lineReplies()[0].body.messages[0].text, /最多記 20 筆，這則有 21 筆/);
+  });
+
+  it("計時中「…完了」要提到計時的活動才結束", async () => {
+    const userId = "U-session";
+    await post({ events: [textEvent("開始畫分鏡", { userId })] });
+    await post({ events: [textEvent("午餐吃完了", { userId })] });
+    let logs = await store.list("logs", { ownerId: userId });
+    assert.deepEqual(logs.map((log) => log.rawText), ["畫分鏡", "午餐吃完了"]);
+    assert.equal(logs[0].endISO, null);
+
+    await post({ events: [textEvent("畫完了", { userId })] });
+    logs = await store.list("logs", { ownerId: userId });
+    assert.equal(logs.length, 2);
+    assert.ok(logs[0].endISO);
+    assert.match(lineReplies().at(-1).body.messages[0].text, /已結束/);
+  });
+
+  it("編輯時間看不懂就不改", async () => {
+    const userId = "U-edit-bad";
+    await post({ events: [textEvent("我到藝廊了", { userId })] });
+    const [before] = await store.list("logs", { ownerId: userId });
+    await post({ events: [textEvent("編輯 時間=等一下下", { userId })] });
+    assert.match(lineReplies().at(-1).body.messages[0].text, /看不懂時間/);
+    assert.deepEqual((await store.list("logs", { ownerId: userId }))[0], before);
+  });
+
+  it("編輯計時中的時間，結束時從新的起點算", async () => {
+    const userId = "U-edit-session";
+    await post({ events: [textEvent("開始畫分鏡", { userId })] });
+    const start = new Date(Date.now() - 90 * 60000);
+    const hhmm = start.toLocaleTimeString("en-GB", { timeZone: "Asia/Taipei", hour: "2-digit", minute: "2-digit" });
+    await post({ events: [textEvent(`編輯 時間=${hhmm}`, { userId })] });
+    await post({ events: [textEvent("結束", { userId })] });
+    const [session] = await store.list("logs", { ownerId: userId });
+    assert.ok(session.durationMin >= 89 && session.durationMin <= 91, `durationMin=${session.durationMin}`);
+  });
+
+  describe("照片說明", () => {
+    const photoOf = async (ownerId) => (await store.list("logs", { ownerId })).find((log) => log.imageMessageId);
+
+    it("照片後的文字成為說明", async () => {
+      await post({ events: [imageEvent({ userId: "U-photo" })] });
+      await post({ events: [textEvent("展場入口", { userId: "U-photo" })] });
+      assert.equal((await photoOf("U-photo")).caption, "展場入口");
+    });
+
+    it("問句照常聊天，照片仍等說明", async () => {
+      await post({ events: [imageEvent({ userId: "U-photo-ask" })] });
+      await post({ events: [textEvent("今天天氣好嗎？", { userId: "U-photo-ask" })] });
+      assert.equal((await photoOf("U-photo-ask")).caption, undefined);
+      assert.doesNotMatch(JSON.stringify(lineReplies().at(-1).body.messages), /已加上/);
+
+      await post({ events: [textEvent("展場入口", { userId: "U-photo-ask" })] });
+      assert.equal((await photoOf("U-photo-ask")).caption, "展場入口");
+    });
+
+    it("多筆訊息照常拆開記錄", async () => {
+      await post({ events: [imageEvent({ userId: "U-photo-batch" })] });
+      await post({ events: [textEvent("昨天 9:00 起床\n昨天 10:00 到工作室", { userId: "U-photo-batch" })] });
+      assert.equal((await photoOf("U-photo-batch")).caption, undefined);
+      assert.equal((await store.list("logs", { ownerId: "U-photo-batch" })).length, 3);
+    });
+
+    it("群組裡別人的文字不算說明", async () => {
+      await post({ events: [imageEvent({ userId: "U-a", groupId: "G-photo" })] });
+      await post({ events: [{ ...textEvent("我到藝廊了", { userId: "U-b" }), source: { type: "group", groupId: "G-photo", userId: "U-b" } }] });
+      assert.equal((await photoOf("G-photo")).caption, undefined);
+      assert.equal((await store.list("logs", { ownerId: "G-photo" })).length, 2);
+    });
+  });
+});